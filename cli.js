@@ -0,0 +1,590 @@
+#!/usr/bin/env node
+// Command-line hinge generator: turns a saved design URL (or a JSON file with the same keys)
+// into the PDF template, the STL zip and a JSON validation report, without a browser.
+//
+//   node cli.js "https://grimmett.io/hinge-generator/?height=30.000&width=40.000&..." --units mm --out build
+//   node cli.js design.json --report-only
+//
+// Exits with 0 if the design passes every check, 2 if it has problems, and 1 on bad input.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { BoxGeometry } = require('./geometry.js');
+const { STLGenerator } = require('./stl-generator.js');
+const { TemplateGenerator } = require('./template-generator.js');
+
+const USAGE = `Usage: node cli.js <design URL | query string | design.json> [options]
+
+Options:
+  --units <mm|cm|in>              Units the design is in (default mm)
+  --out <dir>                     Output directory (default .)
+  --report-only                   Only write the validation report
+  --motion-table <csv|json>       Also write every pose over the motion to hinge-motion.csv or .json
+  --steps <n>                     Steps across the motion for the motion table (default 180)
+  --min-transmission-angle <deg>  Flag transmission angles below this (default 30)
+  --lid-density <g/cm³>           Lid material, for the gravity check (default 1.24, PLA)
+  --lid-mass <g>                  Lid mass, instead of working it out from the density
+  --tensile-strength <MPa>        Printed material, for the rod and pin strength check (default 40, PLA)
+  --min-safety-factor <n>         Flag rods and pins that break under less than this times their load (default 3)
+  --release <percent>             How far open the lid is let go, to see how hard it lands (default 50)
+  --damping <N·mm·s/rad>          Rotary damper on the red box pin while it falls (default 0)
+  --tolerance <error>             Also build the hinge many times with each pivot up to this far off, in the design's units
+  --rod-length-error <error>      How far off each rod's length may be for --tolerance (default the same)
+  --samples <n>                   Builds for --tolerance (default 200)
+  --box-width <mm>                Advanced STL settings, as on the page (box width default 50)
+  --box-thickness <mm>            (a design with hollow walls, wt, uses its own thickness)
+  --wall-height <mm>              Walls standing out on the rod side (default the box width, 0 for none)
+  --pivot-axle-diameter <mm>
+  --axle-tolerance <mm>
+  --rim-diameter <mm>
+  --link-thickness <mm>
+  --link-width <mm>
+  --help
+
+Design keys, as the page saves them in its URL (lengths in the design's units):
+  height, width, depth, alpha, gap  Box size; alpha in radians as saved, or degrees above a full turn
+  alphaDeg                          The lid angle in degrees instead; a JSON design must use this
+  rcx, rcy, bcx, bcy                Red and blue lid pivots in the closed pose
+  rbd, bbd                          Red and blue box pivots, as distances along their constraint lines
+  bp, lp                            Custom box and lid polygons "x,y;x,y", sharing the cut as an edge
+  oa, ox, oy                        Open rest pose: turn in degrees (default 180), then offset
+  bc, lc                            Box and lid corner finishes "index:round|chamfer:size;..."
+  wt                                Hollow walls of this thickness; pivots must then sit on a wall
+  bal, bala, balt                   Balancer "spring|gas-strut|counterweight:lid|red|blue", its anchor
+                                    on the box and its attachment point in the closed pose, as "x,y"
+  ipx, ipy, ipa                     Intermediate lid pose the motion must pass through (ipa in degrees)
+  asm=alt                           The other assembly mode
+
+The report (hinge-report.json) lists every problem found, then the motion, interference, rod/wall,
+statics, strength, fall and balancer results, and the tolerance results with --tolerance.
+It exits with 2 if there are problems, so it can gate batch jobs.`;
+
+// Advanced STL settings, by command-line option
+const SETTINGS_OPTIONS = {
+    'box-width': 'boxWidth',
+    'box-thickness': 'boxThickness',
+    'wall-height': 'wallHeight',
+    'pivot-axle-diameter': 'pivotAxleDiameter',
+    'axle-tolerance': 'axleTolerance',
+    'rim-diameter': 'rimDiameter',
+    'link-thickness': 'linkThickness',
+    'link-width': 'linkWidth'
+};
+
+// Box dimensions used by the page when a design doesn't give them
+const DEFAULT_DIMENSIONS = { height: 30, width: 40, depth: 10, alpha: 75, gap: 1 };
+
+class UsageError extends Error {}
+
+// Read the design parameters from a URL, a bare query string or a JSON file
+function readDesignParams(source) {
+    if (fs.existsSync(source)) {
+        let params;
+        try {
+            params = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Could not read ${source} as JSON: ${error.message}`);
+        }
+        // Only page URLs have alpha in radians; in a file it could be either, so it has to say
+        if (params.alpha !== undefined) {
+            throw new UsageError(`${source} gives alpha; give the lid angle in degrees as alphaDeg instead`);
+        }
+        return params;
+    }
+
+    const query = source.includes('?') ? source.slice(source.indexOf('?') + 1) : source;
+    if (!query.includes('=')) {
+        throw new UsageError(`${source} is neither a design URL nor a JSON file`);
+    }
+    return Object.fromEntries(new URLSearchParams(query));
+}
+
+// Read a list of points written "x,y;x,y", or given as [{x, y}]
+function parsePointList(points) {
+    if (Array.isArray(points)) {
+        return points;
+    }
+    return String(points).split(';').map(pair => {
+        const [x, y] = pair.split(',').map(parseFloat);
+        if (isNaN(x) || isNaN(y)) throw new UsageError(`"${pair}" is not an x,y point`);
+        return { x, y };
+    });
+}
+
+// Read corner finishes written "index:type:size;...", or given as {index: {type, size}}
+function parseCornerFinishes(finishes) {
+    if (typeof finishes === 'object') {
+        return Object.entries(finishes).map(([index, finish]) => ({ index: Number(index), finish }));
+    }
+    return String(finishes).split(';').map(entry => {
+        const [index, type, size] = entry.split(':');
+        if (isNaN(parseInt(index))) throw new UsageError(`"${entry}" is not a corner finish like 2:round:3`);
+        return { index: parseInt(index), finish: { type, size: parseFloat(size) } };
+    });
+}
+
+// Build the geometry the same way the page's loadFromUrl() does
+function loadDesign(params) {
+    const number = (name) => {
+        if (params[name] === undefined || params[name] === null || params[name] === '') return null;
+        const value = parseFloat(params[name]);
+        if (isNaN(value)) throw new UsageError(`${name} must be a number, got "${params[name]}"`);
+        return value;
+    };
+
+    const dimensions = {};
+    for (const name of Object.keys(DEFAULT_DIMENSIONS)) {
+        const value = number(name);
+        dimensions[name] = value === null ? DEFAULT_DIMENSIONS[name] : value;
+    }
+
+    // alphaDeg is in degrees. updateUrl() saves alpha in radians; anything above a full turn must already be degrees.
+    const alphaDegrees = number('alphaDeg') !== null ? number('alphaDeg')
+        : dimensions.alpha < 2 * Math.PI ? dimensions.alpha * 180 / Math.PI : dimensions.alpha;
+
+    const geometry = new BoxGeometry(dimensions.height, dimensions.width, dimensions.depth, alphaDegrees, dimensions.gap);
+
+    // A custom profile ("x,y;x,y" as saved by the page, or [{x, y}] in JSON) overrides the dimensions
+    if (params.bp || params.lp) {
+        if (!params.bp || !params.lp) {
+            throw new UsageError('A custom profile needs both bp (box) and lp (lid)');
+        }
+        try {
+            geometry.setProfile({ box: parsePointList(params.bp), lid: parsePointList(params.lp) });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    // Rounded and chamfered corners, for the box (bc) and lid (lc)
+    for (const [part, name] of [['box', 'bc'], ['lid', 'lc']]) {
+        if (!params[name]) continue;
+        for (const { index, finish } of parseCornerFinishes(params[name])) {
+            try {
+                geometry.setCornerFinish(part, index, finish);
+            } catch (error) {
+                throw new UsageError(`${name}: ${error.message}`);
+            }
+        }
+    }
+
+    // Hollow box and lid walls, in the design's units
+    if (number('wt') !== null) {
+        try {
+            geometry.setWallThickness(number('wt'));
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    // Spring, gas strut or counterweight: bal is "type:part", bala its anchor and balt its attachment point
+    if (params.bal) {
+        const [type, part] = String(params.bal).split(':');
+        try {
+            geometry.setBalancer({
+                type,
+                part,
+                anchor: params.bala ? parsePointList(params.bala)[0] : null,
+                attachment: params.balt ? parsePointList(params.balt)[0] : null
+            });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    // Open rest pose: angle in degrees, then offset
+    if (number('oa') !== null) {
+        try {
+            geometry.setOpenPose(number('oa') * Math.PI / 180, { x: number('ox') || 0, y: number('oy') || 0 });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    if (number('rcx') !== null && number('rcy') !== null) {
+        geometry.redClosedPoint = { x: number('rcx'), y: number('rcy') };
+        geometry.updateRedOpenPoint();
+    }
+    if (number('bcx') !== null && number('bcy') !== null) {
+        geometry.blueClosedPoint = { x: number('bcx'), y: number('bcy') };
+        geometry.updateBlueOpenPoint();
+    }
+
+    geometry.updateConstraintLines();
+
+    if (number('rbd') !== null) {
+        geometry.setBoxPointFromDistance('red', number('rbd'));
+    }
+    if (number('bbd') !== null) {
+        geometry.setBoxPointFromDistance('blue', number('bbd'));
+    }
+
+    if (params.asm === 'alt') {
+        geometry.useAlternateAssembly = true;
+    }
+
+    if (number('ipx') !== null && number('ipy') !== null && number('ipa') !== null) {
+        geometry.setIntermediatePose({
+            x: number('ipx'),
+            y: number('ipy'),
+            angle: number('ipa') * Math.PI / 180
+        });
+    }
+
+    geometry.initializeFourBar();
+    return geometry;
+}
+
+// Run every check the page runs before generating files, and collect the results. Checks holds the
+// thresholds, lid material and fall settings from readCommonOptions().
+function buildReport(geometry, generator, checks = {}) {
+    const {
+        minTransmissionAngle = 30,
+        lidMaterial = { density: 1.24, mass: null, tensileStrength: 40 },
+        minSafetyFactor = 3,
+        fall: fallSettings = { releaseProgress: 0.5, damping: 0 },
+        tolerance: toleranceSettings = null
+    } = checks;
+    const toDegrees = (angle) => angle * 180 / Math.PI;
+    const percentOpen = (angle) => Math.round(100 * geometry.getOpeningProgress(angle));
+
+    const motion = geometry.analyzeMotion();
+    const parts = geometry.getLinkageParts(generator.getHardware());
+    const interference = geometry.analyzeInterference(parts, motion);
+    const rodWall = geometry.analyzeRodWallCollisions(parts, motion);
+    const statics = geometry.analyzeStatics(motion);
+    const forces = geometry.analyzeForces(motion, statics);
+
+    // Lid weight for the gravity and strength checks, from its mass in grams
+    const lidMass = lidMaterial.mass > 0 ? lidMaterial.mass : geometry.getLidMass(generator.getHardware(), lidMaterial.density);
+    const lidWeight = lidMass / 1000 * 9.81;
+    const strengthChecks = forces.poses.length === 0 ? []
+        : geometry.getStrengthChecks(forces, generator.getHardware(), lidWeight, lidMaterial.tensileStrength);
+    const fall = geometry.simulateFall(motion, generator.getHardware(), { mass: lidMass, ...fallSettings });
+    const slams = geometry.simulateSlams(motion, generator.getHardware(), { mass: lidMass, damping: fallSettings.damping }, statics);
+    const balancer = geometry.sizeBalancer(motion, statics, generator.getHardware(), lidWeight);
+    const tolerance = toleranceSettings && motion.reachable ? geometry.analyzeTolerance(toleranceSettings) : null;
+
+    const problems = geometry.getProblems(
+        { motion, hardware: generator.getHardware(), parts, interference, rodWall, statics, strengthChecks },
+        { minTransmissionAngle: minTransmissionAngle * Math.PI / 180, minSafetyFactor }
+    );
+
+    const finite = (value) => Number.isFinite(value) ? value : null;
+
+    // Gravity torques in N·mm and loads in N
+    const torque = (momentArm) => lidWeight * momentArm * generator.scaleFactor;
+    const newtons = (load) => finite(lidWeight * load);
+    const torqueAt = (progress) => statics.poses.length === 0 ? null : torque(statics.poses.reduce((best, pose) =>
+        Math.abs(pose.progress - progress) < Math.abs(best.progress - progress) ? pose : best).momentArm);
+
+    return {
+        valid: problems.length === 0,
+        problems,
+        design: {
+            units: generator.units,
+            height: geometry.height,
+            width: geometry.width,
+            depth: geometry.depth,
+            alpha: toDegrees(geometry.closedAngle),
+            gap: geometry.gap,
+            openPose: {
+                angle: toDegrees(geometry.openRestAngle),
+                offset: geometry.openOffset
+            },
+            profile: geometry.profile,
+            cornerFinishes: geometry.cornerFinishes,
+            wallThickness: geometry.wallThickness,
+            pivots: geometry.getPivotPoints(),
+            rodLengths: {
+                red: geometry.distance(geometry.redBoxPoint, geometry.redClosedPoint),
+                blue: geometry.distance(geometry.blueBoxPoint, geometry.blueClosedPoint)
+            },
+            alternateAssembly: geometry.useAlternateAssembly,
+            intermediatePose: geometry.intermediatePose
+        },
+        motion: {
+            reachable: motion.reachable,
+            reachesClosedPose: motion.reachesClosedPose,
+            reachesOpenPose: motion.reachesOpenPose,
+            passesIntermediatePose: motion.passesIntermediatePose === undefined ? null : motion.passesIntermediatePose,
+            hasCollision: motion.hasCollision,
+            maxPenetrationDepth: motion.maxPenetrationDepth,
+            minClearance: finite(motion.minClearance),
+            transmissionAngle: {
+                min: finite(toDegrees(motion.minTransmissionAngle)),
+                max: finite(toDegrees(motion.maxTransmissionAngle)),
+                worst: finite(toDegrees(motion.worstTransmissionAngle))
+            },
+            linkage: {
+                type: motion.linkage.type,
+                isGrashof: motion.linkage.isGrashof
+            },
+            branchFlips: motion.branchFlips.length,
+            nearToggles: motion.nearToggles.map(toggle => ({
+                links: toggle.links,
+                percentOpen: toggle.distanceFromRange > 0 ? null : percentOpen(toggle.angle)
+            }))
+        },
+        interference: {
+            minClearance: finite(interference.minClearance),
+            interferences: interference.interferences.map(hit => ({
+                pair: hit.pair,
+                clearance: hit.clearance,
+                percentOpen: percentOpen(hit.angle)
+            }))
+        },
+        // Not checked with --wall-height 0; then there are no results to give
+        rodWall: {
+            wallHeight: generator.wallHeight,
+            checked: rodWall.checked,
+            maxPenetrationDepth: rodWall.checked ? rodWall.maxPenetrationDepth : null,
+            collisions: rodWall.checked ? rodWall.collisions.map(collision => ({
+                rod: collision.rod,
+                wall: collision.wall,
+                percentOpen: percentOpen(collision.angle)
+            })) : null
+        },
+        statics: {
+            lidMass,
+            behaviour: statics.behaviour,
+            balancePoints: statics.balancePoints.map(progress => Math.round(100 * progress)),
+            maxHoldingTorque: Math.abs(torque(statics.maxMomentArm)),
+            maxHoldingTorquePercentOpen: statics.maxMomentArmAt === null ? null : percentOpen(statics.maxMomentArmAt),
+            // Gravity torque every 10% of the way open, positive where it pushes the lid open
+            torqueByPercentOpen: Object.fromEntries([...Array(11).keys()].map(step => [step * 10, torqueAt(step / 10)])),
+            openCenterOfMass: statics.openCenterOfMass,
+            tipsOver: statics.tipsOver
+        },
+        // Largest loads with the lid held still anywhere in the motion; axial forces are positive in tension
+        strength: {
+            tensileStrength: lidMaterial.tensileStrength,
+            rods: {
+                red: { axialForce: newtons(forces.max.redAxial), bendingMoment: finite(torque(forces.max.redBending)) },
+                blue: { axialForce: newtons(forces.max.blueAxial), bendingMoment: 0 }
+            },
+            pinLoads: Object.fromEntries(Object.entries(forces.max.pins).map(([pin, load]) => [pin, newtons(load)])),
+            checks: strengthChecks.map(check => ({ ...check, safetyFactor: finite(check.safetyFactor) }))
+        },
+        // The lid let go from rest: where it ends up and how hard it lands there
+        fall: fall && {
+            releasePercentOpen: Math.round(100 * fallSettings.releaseProgress),
+            damping: fallSettings.damping,
+            endsAt: fall.endsAt,
+            time: fall.time,
+            impactAngularSpeed: fall.angularSpeed,
+            impactTipSpeed: fall.tipSpeed,
+            impactEnergy: fall.energy,
+            // The hardest it hits each rest pose, let go from wherever it falls onto that pose from
+            slams: Object.fromEntries(Object.entries(slams).map(([pose, slam]) => [pose, slam && {
+                releasePercentOpen: Math.round(100 * slam.releaseProgress),
+                impactTipSpeed: slam.tipSpeed,
+                impactEnergy: slam.energy
+            }]))
+        },
+        // The spring, gas strut or counterweight sized to balance the lid, with torques in N·mm
+        balancer: balancer && {
+            type: balancer.type,
+            part: geometry.balancer.part,
+            stiffness: balancer.stiffness,
+            preload: balancer.preload,
+            mass: balancer.mass,
+            lengths: balancer.lengths,
+            forces: balancer.forces,
+            maxGravityTorque: balancer.maxGravity,
+            maxResidualTorque: balancer.maxResidual,
+            residualByPercentOpen: Object.fromEntries([...Array(11).keys()].map(step => [step * 10,
+                balancer.poses.reduce((best, pose) =>
+                    Math.abs(pose.progress - step / 10) < Math.abs(best.progress - step / 10) ? pose : best).residual]))
+        },
+        // Many builds with their pivots and rods a little off: how often they fail, and how far their
+        // open lids spread (shift in the design's units, rotation in degrees, gap below 0 where it lands early)
+        tolerance: tolerance && {
+            pivotError: tolerance.pivotError,
+            lengthError: tolerance.lengthError,
+            samples: tolerance.samples,
+            collisionRate: tolerance.collisionRate,
+            unreachableRate: tolerance.unreachableRate,
+            openShift: tolerance.openShift,
+            openRotation: tolerance.openRotation && Object.fromEntries(
+                Object.entries(tolerance.openRotation).map(([key, value]) => [key, toDegrees(value)])),
+            openGap: tolerance.openGap
+        }
+    };
+}
+
+// Options shared by this tool and the sweep tool
+const COMMON_OPTIONS = {
+    units: { type: 'string', default: 'mm' },
+    out: { type: 'string', default: '.' },
+    'min-transmission-angle': { type: 'string', default: '30' },
+    'lid-density': { type: 'string', default: '1.24' },
+    'lid-mass': { type: 'string' },
+    'tensile-strength': { type: 'string', default: '40' },
+    'min-safety-factor': { type: 'string', default: '3' },
+    release: { type: 'string', default: '50' },
+    damping: { type: 'string', default: '0' },
+    tolerance: { type: 'string' },
+    'rod-length-error': { type: 'string' },
+    samples: { type: 'string', default: '200' },
+    help: { type: 'boolean', default: false },
+    ...Object.fromEntries(Object.keys(SETTINGS_OPTIONS).map(option => [option, { type: 'string' }])),
+    'box-width': { type: 'string', default: '50' }
+};
+
+// Check the shared options and turn them into units, STL settings and the settings for buildReport()
+function readCommonOptions(values) {
+    if (!['mm', 'cm', 'in'].includes(values.units)) {
+        throw new UsageError(`Units must be mm, cm or in, got "${values.units}"`);
+    }
+
+    const settings = {};
+    for (const [option, key] of Object.entries(SETTINGS_OPTIONS)) {
+        if (values[option] === undefined) continue;
+        settings[key] = parseFloat(values[option]);
+        if (isNaN(settings[key])) throw new UsageError(`--${option} must be a number`);
+    }
+    const minTransmissionAngle = parseFloat(values['min-transmission-angle']);
+    if (isNaN(minTransmissionAngle)) throw new UsageError('--min-transmission-angle must be a number');
+
+    const lidMaterial = {
+        density: parseFloat(values['lid-density']),
+        mass: null,
+        tensileStrength: parseFloat(values['tensile-strength'])
+    };
+    if (!(lidMaterial.density > 0)) throw new UsageError('--lid-density must be a positive number');
+    if (!(lidMaterial.tensileStrength > 0)) throw new UsageError('--tensile-strength must be a positive number');
+    if (values['lid-mass'] !== undefined) {
+        lidMaterial.mass = parseFloat(values['lid-mass']);
+        if (!(lidMaterial.mass > 0)) throw new UsageError('--lid-mass must be a positive number');
+    }
+
+    const minSafetyFactor = parseFloat(values['min-safety-factor']);
+    if (isNaN(minSafetyFactor)) throw new UsageError('--min-safety-factor must be a number');
+
+    const release = parseFloat(values.release);
+    if (!(release >= 0 && release <= 100)) throw new UsageError('--release must be a percentage from 0 to 100');
+    const damping = parseFloat(values.damping);
+    if (!(damping >= 0)) throw new UsageError('--damping must be 0 or more');
+
+    let tolerance = null;
+    if (values.tolerance !== undefined) {
+        const pivotError = parseFloat(values.tolerance);
+        const lengthError = values['rod-length-error'] === undefined ? pivotError : parseFloat(values['rod-length-error']);
+        const samples = Number(values.samples);
+        if (!(pivotError >= 0)) throw new UsageError('--tolerance must be 0 or more');
+        if (!(lengthError >= 0)) throw new UsageError('--rod-length-error must be 0 or more');
+        if (!(Number.isInteger(samples) && samples >= 1)) throw new UsageError('--samples must be a whole number of 1 or more');
+        tolerance = { pivotError, lengthError, samples };
+    }
+
+    return {
+        units: values.units,
+        settings,
+        minTransmissionAngle,
+        lidMaterial,
+        minSafetyFactor,
+        fall: { releaseProgress: release / 100, damping },
+        tolerance
+    };
+}
+
+// Write the PDF template and STL zip for a design into a directory, returning the files written
+async function writeDesignFiles(geometry, generator, dir, url = '') {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const pdfFile = path.join(dir, 'hinge-template.pdf');
+    const pdf = new TemplateGenerator(geometry, generator.units).generatePdf();
+    fs.writeFileSync(pdfFile, Buffer.from(pdf.output('arraybuffer')));
+
+    const zipFile = path.join(dir, 'hinge-box.zip');
+    fs.writeFileSync(zipFile, await generator.generateZip(url, 'nodebuffer'));
+
+    return [pdfFile, zipFile];
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            ...COMMON_OPTIONS,
+            'report-only': { type: 'boolean', default: false },
+            'motion-table': { type: 'string' },
+            steps: { type: 'string', default: '180' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError('Give exactly one design URL or JSON file');
+    }
+    const { units, settings, ...checks } = readCommonOptions(values);
+    const motionTableFormat = values['motion-table'];
+    if (motionTableFormat !== undefined && !['csv', 'json'].includes(motionTableFormat)) {
+        throw new UsageError(`--motion-table must be csv or json, got "${motionTableFormat}"`);
+    }
+    const steps = Number(values.steps);
+    if (!(Number.isInteger(steps) && steps >= 1)) throw new UsageError('--steps must be a whole number of 1 or more');
+
+    const source = positionals[0];
+    const geometry = loadDesign(readDesignParams(source));
+    const generator = new STLGenerator(geometry, units, settings);
+    const report = buildReport(geometry, generator, checks);
+
+    const written = [];
+    if (!values['report-only']) {
+        // Record where the design came from in the zip's info file, if it was a URL
+        const url = /^https?:\/\//.test(source) ? source : '';
+        written.push(...await writeDesignFiles(geometry, generator, values.out, url));
+    }
+
+    fs.mkdirSync(values.out, { recursive: true });
+    const reportFile = path.join(values.out, 'hinge-report.json');
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
+    written.push(reportFile);
+
+    if (motionTableFormat) {
+        const motionFile = path.join(values.out, `hinge-motion.${motionTableFormat}`);
+        fs.writeFileSync(motionFile, geometry.formatMotionTable(geometry.getMotionTable(steps), motionTableFormat, units));
+        written.push(motionFile);
+    }
+
+    for (const file of written) {
+        console.log(`Wrote ${file}`);
+    }
+    for (const { message } of report.problems) {
+        console.warn(`Warning: ${message}`);
+    }
+    if (!report.rodWall.checked) {
+        console.warn('Note: the rods were not checked against the walls, as --wall-height is 0');
+    }
+
+    return report.valid ? 0 : 2;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')
+            ? `${error.message}\n\n${USAGE}`
+            : error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    UsageError,
+    COMMON_OPTIONS,
+    SETTINGS_OPTIONS,
+    readCommonOptions,
+    readDesignParams,
+    loadDesign,
+    buildReport,
+    writeDesignFiles,
+    main
+};
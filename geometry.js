@@ -10,6 +10,11 @@ class BoxGeometry {
         this.closedAngle = angle * Math.PI / 180;
         this.openAngle = Math.PI - this.closedAngle;
         
+        // Open rest pose: how far the lid turns (clockwise, radians) about the hinge centre at the top of
+        // the box, then how far it is moved. The default half turn lands the lid flat on top.
+        this.openRestAngle = Math.PI;
+        this.openOffset = { x: 0, y: 0 };
+        
         // Initialize pivot points
         this.redBoxPoint = null;
         this.blueBoxPoint = null;
@@ -29,7 +34,9 @@ class BoxGeometry {
         this.isAnimating = false;
         this.animationStartTime = null;
         this.animationStartAngle = null;
-        this.lastFollowerChoice = null; // Store which intersection we're using
+        
+        // Run the linkage on the mirror-image solution of the closed pose instead of the closed pose itself
+        this.useAlternateAssembly = false;
         
         // Four-bar linkage solver
         this.fourBarConfig = null;
@@ -42,13 +49,35 @@ class BoxGeometry {
         // Link length constraint
         this.constrainLinkLengths = false;
         
+        // Optional third lid position the motion must pass through (three-position synthesis)
+        this.intermediatePose = null;
+        
+        // Optional custom side profile {box, lid}: polygons that replace the rectangle and straight cut
+        this.profile = null;
+        
+        // Rounded or chamfered corners, by part and outline corner index: {type: 'round' | 'chamfer', size}
+        this.cornerFinishes = { box: {}, lid: {} };
+        
+        // Thickness of the box and lid walls, or null to treat both as solid
+        this.wallThickness = null;
+        
+        // Optional spring, gas strut or counterweight to balance the lid (see setBalancer)
+        this.balancer = null;
+        
         // Collision tracking
         this.hasCollided = false;
-        this.collisionPixels = new Set();  // Store hit pixels
-        this.checkedPixels = new Set();    // Store all checked pixels
-        this.detectionGridSize = this.width / 100;  // 100 pixels across box width
         this.edgeThreshold = 0.05;  // How close to consider a point "on edge"
-        this.totalCollisionPoints = new Set();  // Use Set to avoid duplicates
+        this.collisionDepthThreshold = null;  // Overlaps shallower than this are just touching (see updateCollisionDepthThreshold)
+        this.restContactDepth = null;  // The same, for the lid near its rest poses (see isLidCollision)
+        this.restPoseMargin = 0.1;  // How far into the motion, as a fraction of it, the lid counts as near a rest pose
+        this.updateCollisionDepthThreshold();
+        this.currentCollision = null;  // Overlap between moving lid and box in the current frame
+        
+        // The closed lid's edge from vertex i to i + 1 that is the cut against the box (B-C by default)
+        this.lidCutEdge = 1;
+        
+        // Opening ranges passing closer than this to a dead-centre position get flagged (radians)
+        this.toggleAngleTolerance = 5 * Math.PI / 180;
         
         // Initialize pivot points
         this.initializePivotPoints();
@@ -56,6 +85,22 @@ class BoxGeometry {
         this.initializeFourBar();
     }
     
+    // Overlaps shallower than a millionth of the box size are just touching. The lid rests against the box
+    // at both ends of the motion though, and saved designs round the pivots to three decimals, which leaves
+    // a correct design touching the box by up to a few hundredths there, so near the rest poses the limit is
+    // a thousandth of the box size.
+    updateCollisionDepthThreshold() {
+        const size = Math.max(this.width, this.height);
+        this.collisionDepthThreshold = size * 1e-6;
+        this.restContactDepth = size * 1e-3;
+    }
+    
+    // Whether the lid overlapping the box this deep, at this fraction of the way open, is a collision
+    isLidCollision(depth, progress) {
+        const nearRest = progress < this.restPoseMargin || progress > 1 - this.restPoseMargin;
+        return depth > (nearRest ? this.restContactDepth : this.collisionDepthThreshold);
+    }
+    
     // Four-bar linkage solver
     isValidConfiguration(inputFollower, inputGround, outputGround, inputLength, followerLength, outputLength) {
         // Check if input bar length is maintained
@@ -150,55 +195,20 @@ class BoxGeometry {
             return false;
         }
         
-        // Choose intersection closest to previous output end
-        const [pos1, pos2] = intersections;
-        if (prevConfig.outputFollower) {
-            const d1 = this.distance(pos1, prevConfig.outputFollower);
-            const d2 = this.distance(pos2, prevConfig.outputFollower);
-            this.fourBarConfig.outputFollower = d1 < d2 ? pos1 : pos2;
-            this.lastFollowerChoice = d1 < d2 ? 0 : 1; // Store which intersection we chose
-        } else if (this.lastFollowerChoice !== null) {
-            // Use last known choice if available
-            this.fourBarConfig.outputFollower = intersections[this.lastFollowerChoice];
-        } else {
-            // If no previous position, maintain current config
-            this.fourBarConfig.outputFollower = this.fourBarConfig.config === 1 ?
-                (pos1.y > this.fourBarConfig.inputFollower.y ? pos1 : pos2) :
-                (pos1.y <= this.fourBarConfig.inputFollower.y ? pos1 : pos2);
-            // Store initial choice
-            this.lastFollowerChoice = this.fourBarConfig.outputFollower === pos1 ? 0 : 1;
-        }
-        
-        // Create some vectors to help with the transformation
-        // Let C (Closed) be the vector from redClosed to blueClosed
-        const C = math.matrix([this.blueClosedPoint.x - this.redClosedPoint.x, this.blueClosedPoint.y - this.redClosedPoint.y]);
-        const Chat = math.divide(C, math.norm(C));
-        
-        // Let F (Follower) be the vector from followerStart to followerEnd
-        const F = math.matrix([this.fourBarConfig.outputFollower.x - this.fourBarConfig.inputFollower.x, 
-                             this.fourBarConfig.outputFollower.y - this.fourBarConfig.inputFollower.y]);
-        const Fhat = math.divide(F, math.norm(F));
-
-        const x1 = C.get([0]);
-        const y1 = C.get([1]);
-        const x2 = F.get([0]);
-        const y2 = F.get([1]);
+        // Stay on the assembly branch rather than taking whichever solution is nearest,
+        // which can jump to the mirror image near singular positions
+        this.fourBarConfig.outputFollower = this.selectBranchSolution(
+            intersections,
+            this.fourBarConfig.inputFollower,
+            this.fourBarConfig.outputGround,
+            this.fourBarConfig.branch
+        );
         
-        // let theta be the angle between C and F
-        const cos_theta = math.dot(Chat, Fhat);
-        const sin_theta = (x1*y2 - y1*x2) / (math.norm(C) * math.norm(F));
-
-        // Compute translation vector
-        const translation = [this.fourBarConfig.inputFollower.x - (this.redClosedPoint.x * cos_theta - this.redClosedPoint.y * sin_theta),
-            this.fourBarConfig.inputFollower.y - (this.redClosedPoint.x * sin_theta +this.redClosedPoint.y * cos_theta)]
-
-        // Compute transformation from previous to new follower position
-        const transform = math.matrix([[cos_theta, -sin_theta, translation[0]], 
-            [sin_theta, cos_theta, translation[1]], 
-            [0, 0, 1]]);
+        // Compute transformation from closed lid to new follower position
+        const transform = this.getLidTransform(this.fourBarConfig.inputFollower, this.fourBarConfig.outputFollower);
         
         // Transform previous moving lid vertices to new position
-        this.movingLidVertices = this.transformPoints(transform, this.getClosedLidVertices());
+        this.movingLidVertices = this.transformPoints(transform, this.getClosedLidShellVertices());
         
         // Verify lengths are maintained with 1% tolerance
         const newInputLength = this.distance(this.fourBarConfig.inputGround, this.fourBarConfig.inputFollower);
@@ -218,6 +228,31 @@ class BoxGeometry {
         return true;
     }
     
+    // Get the rigid transform that carries the closed lid onto a follower position. The lid's pivots
+    // default to the design's; a build with its holes slightly off passes its own.
+    getLidTransform(inputFollower, outputFollower, redClosed = this.redClosedPoint, blueClosed = this.blueClosedPoint) {
+        // Let C (Closed) be the vector from redClosed to blueClosed
+        const x1 = blueClosed.x - redClosed.x;
+        const y1 = blueClosed.y - redClosed.y;
+        
+        // Let F (Follower) be the vector from followerStart to followerEnd
+        const x2 = outputFollower.x - inputFollower.x;
+        const y2 = outputFollower.y - inputFollower.y;
+        
+        // let theta be the angle between C and F
+        const lengths = Math.hypot(x1, y1) * Math.hypot(x2, y2);
+        const cos_theta = (x1*x2 + y1*y2) / lengths;
+        const sin_theta = (x1*y2 - y1*x2) / lengths;
+
+        // Compute translation vector
+        const translation = [inputFollower.x - (redClosed.x * cos_theta - redClosed.y * sin_theta),
+            inputFollower.y - (redClosed.x * sin_theta +redClosed.y * cos_theta)]
+
+        return [[cos_theta, -sin_theta, translation[0]], 
+            [sin_theta, cos_theta, translation[1]], 
+            [0, 0, 1]];
+    }
+    
     circleIntersection(c1, c2, r1, r2) {
         const dx = c2.x - c1.x;
         const dy = c2.y - c1.y;
@@ -255,12 +290,22 @@ class BoxGeometry {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    // Small seeded random number generator (mulberry32) returning numbers from 0 to 1, so searches
+    // and samples can be repeated
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
     initializePivotPoints() {
         // Initialize center of rotation
-        this.centerOfRotation = {
-            x: (this.width - this.gap)/2,
-            y: this.height
-        };
+        this.updateCenterOfRotation();
         
         // Initialize red closed points at default positions
         this.redClosedPoint = {
@@ -295,51 +340,342 @@ class BoxGeometry {
         }
     }
     
+    // The hinge point at the top of the box that the open rest pose turns the lid about
+    getHingePoint() {
+        return {
+            x: (this.width - this.gap)/2,
+            y: this.height
+        };
+    }
+    
+    // The centre of the rotation that carries the closed lid to its open rest pose. Turning about the hinge
+    // point and then moving by the offset is the same as one turn about this point. A pose that only moves
+    // the lid has no such centre, so the hinge point moved half way is used as a stand-in.
+    updateCenterOfRotation() {
+        const hinge = this.getHingePoint();
+        const { x: ox, y: oy } = this.openOffset;
+        
+        // Solve center = R(center - hinge) + hinge + offset, i.e. (I - R)(center - hinge) = offset
+        const cos = Math.cos(-this.openRestAngle);
+        const sin = Math.sin(-this.openRestAngle);
+        const det = (1 - cos) ** 2 + sin ** 2;
+        if (det < 1e-12) {
+            this.centerOfRotation = { x: hinge.x + ox / 2, y: hinge.y + oy / 2 };
+            return;
+        }
+        this.centerOfRotation = {
+            x: hinge.x + ((1 - cos) * ox - sin * oy) / det,
+            y: hinge.y + (sin * ox + (1 - cos) * oy) / det
+        };
+    }
+    
+    // Change the open rest pose: the turn in radians (clockwise, from 0 up to 2π) and the offset
+    // {x, y} applied after it. Pivots are refitted as for a change of box size.
+    setOpenPose(angle, offset = { x: 0, y: 0 }) {
+        if (!(angle >= 0 && angle < 2 * Math.PI)) {
+            throw new Error('The open rest angle must be at least 0\u00B0 and less than 360\u00B0');
+        }
+        if (angle === 0 && Math.hypot(offset.x, offset.y) < 1e-9) {
+            throw new Error('The open rest pose must move the lid away from the closed pose');
+        }
+        
+        const boxPivotPositions = this.getBoxPivotPositions();
+        this.openRestAngle = angle;
+        this.openOffset = { x: offset.x, y: offset.y };
+        this.updateCenterOfRotation();
+        this.refitPivotsToOutline(boxPivotPositions);
+    }
+    
+    // Put the open lid anywhere: its reference point (see getLidReferencePoint) goes to the given position,
+    // turned clockwise by the given angle
+    placeOpenLid(position, angle) {
+        angle = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        const hinge = this.getHingePoint();
+        const turned = this.rotateAbout(this.getLidReferencePoint(), hinge, -angle);
+        this.setOpenPose(angle, {
+            x: position.x - turned.x,
+            y: position.y - turned.y
+        });
+    }
+    
+    // Where the open lid's reference point is, for dragging it on the canvas
+    getOpenLidReferencePoint() {
+        return this.getOpenPosition(this.getLidReferencePoint());
+    }
+    
+    // Turn a point anticlockwise by an angle in radians about a centre
+    rotateAbout(point, center, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        return {
+            x: center.x + dx * cos - dy * sin,
+            y: center.y + dx * sin + dy * cos
+        };
+    }
+    
+    // Where a point on the closed lid ends up when the lid rests open
+    getOpenPosition(point) {
+        const turned = this.rotateAbout(point, this.getHingePoint(), -this.openRestAngle);
+        return {
+            x: turned.x + this.openOffset.x,
+            y: turned.y + this.openOffset.y
+        };
+    }
+    
+    // Where a point on the open lid was when the lid was closed
+    getClosedPosition(point) {
+        return this.rotateAbout(
+            { x: point.x - this.openOffset.x, y: point.y - this.openOffset.y },
+            this.getHingePoint(),
+            this.openRestAngle
+        );
+    }
+    
+    // Box pivots must be as far from a lid pivot's closed position as from its open one, so each lies on
+    // the perpendicular bisector of the two. The line's centre is the midpoint between them.
     updateConstraintLines() {
-        const center = this.centerOfRotation;
+        this.redConstraintLine = this.getConstraintLine(this.redClosedPoint);
+        this.blueConstraintLine = this.getConstraintLine(this.blueClosedPoint);
+    }
+    
+    getConstraintLine(closedPoint) {
+        const openPoint = this.getOpenPosition(closedPoint);
+        const dx = openPoint.x - closedPoint.x;
+        const dy = openPoint.y - closedPoint.y;
+        const length = Math.sqrt((dx ** 2) + (dy ** 2));
+        const dirX = dx / length;
+        const dirY = dy / length;
+        
+        // Perpendicular direction, along which the box pivot can move
+        return {
+            perpX: -dirY,
+            perpY: dirX,
+            center: {
+                x: (closedPoint.x + openPoint.x) / 2,
+                y: (closedPoint.y + openPoint.y) / 2
+            },
+            dirX,
+            dirY
+        };
+    }
+    
+    // Use custom box and closed-lid polygons instead of the rectangle split by one straight cut, or null
+    // to go back to it. The two polygons must share the cut line between them as an edge. They are
+    // moved so their bounding box starts at the origin, and height, width and depth are taken from them.
+    setProfile(profile) {
+        if (!profile) {
+            this.profile = null;
+            this.lidCutEdge = 1;
+            return;
+        }
         
-        // Red constraint line
-        const redDx = center.x - this.redClosedPoint.x;
-        const redDy = center.y - this.redClosedPoint.y;
-        const redLen = Math.sqrt((redDx ** 2) + (redDy ** 2));
-        const redDirX = redDx / redLen;
-        const redDirY = redDy / redLen;
+        const isPolygon = (points) => Array.isArray(points) && points.length >= 3 &&
+            points.every(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+        if (!isPolygon(profile.box) || !isPolygon(profile.lid)) {
+            throw new Error('A profile needs box and lid polygons of at least three points each');
+        }
+        // The cut is an edge of both polygons: two neighbouring box vertices that are also neighbours on the lid
+        const n = profile.lid.length;
+        const lidIndexOf = (point) => profile.lid.findIndex(lidPoint => this.distance(point, lidPoint) < 1e-9);
+        let lidCutEdge = -1;
+        profile.box.forEach((point, i) => {
+            const a = lidIndexOf(point);
+            const b = lidIndexOf(profile.box[(i + 1) % profile.box.length]);
+            if (a < 0 || b < 0) return;
+            if ((a + 1) % n === b) lidCutEdge = a;
+            if ((b + 1) % n === a) lidCutEdge = b;
+        });
+        if (lidCutEdge < 0) {
+            throw new Error('The box and lid polygons must share the edge of the cut between them');
+        }
         
-        // Calculate box vector (rotate 90 degrees)
-        const redPerpX = -redDirY;
-        const redPerpY = redDirX;
+        // Box pivots are kept relative to the box height, so read them before it changes
+        const boxPivotPositions = this.getBoxPivotPositions();
         
-        // Store perpendicular direction and center of rotation
-        this.redConstraintLine = {
-            perpX: redPerpX,
-            perpY: redPerpY,
-            center: center, // Store center of rotation directly
-            dirX: redDirX,
-            dirY: redDirY
+        const bounds = this.getBoundingBox([...profile.box, ...profile.lid]);
+        const move = (point) => ({ x: point.x - bounds.minX, y: point.y - bounds.minY });
+        this.profile = {
+            box: profile.box.map(move),
+            lid: profile.lid.map(move)
         };
+        this.lidCutEdge = lidCutEdge;
+        
+        const lidBounds = this.getBoundingBox(this.profile.lid);
+        this.width = bounds.maxX - bounds.minX;
+        this.height = bounds.maxY - bounds.minY;
+        this.depth = lidBounds.maxX - lidBounds.minX;
+        this.updateCollisionDepthThreshold();
         
-        // Blue constraint line (similar calculation)
-        const blueDx = center.x - this.blueClosedPoint.x;
-        const blueDy = center.y - this.blueClosedPoint.y;
-        const blueLen = Math.sqrt((blueDx ** 2) + (blueDy ** 2));
-        const blueDirX = blueDx / blueLen;
-        const blueDirY = blueDy / blueLen;
+        // The box size changed, so move the centre of rotation and refit the pivots to it
+        this.updateCenterOfRotation();
+        this.refitPivotsToOutline(boxPivotPositions);
+    }
+    
+    // After the lid outline changes, pull the lid pivots back inside it and rebuild everything that
+    // depends on them, as updateParameters does. Box pivots go back to the given positions.
+    refitPivotsToOutline(boxPivotPositions) {
+        this.setLidPivotPositions(this.getLidPivotPositions());
+        this.updateConstraintLines();
+        this.updateRedOpenPoint();
+        this.updateBlueOpenPoint();
+        if (boxPivotPositions) {
+            this.setBoxPivotPositions(boxPivotPositions);
+        }
+    }
+    
+    // Round or chamfer one corner of the box or lid outline, or pass null to make it sharp again.
+    // Corners are numbered as in getBoxOutline and getClosedLidOutline; those on the cut stay sharp.
+    setCornerFinish(part, index, finish) {
+        if (!this.cornerFinishes[part]) {
+            throw new Error(`Unknown part "${part}"; use box or lid`);
+        }
+        if (finish && (!['round', 'chamfer'].includes(finish.type) || !(finish.size > 0))) {
+            throw new Error('A corner finish needs a type of round or chamfer and a size above zero');
+        }
+        if (finish && !this.getFinishableCorners(part).some(corner => corner.index === index)) {
+            throw new Error(`The ${part} outline has no corner ${index} that can be rounded`);
+        }
         
-        const bluePerpX = -blueDirY;
-        const bluePerpY = blueDirX;
+        const boxPivotPositions = this.getBoxPivotPositions();
+        if (finish) {
+            this.cornerFinishes[part][index] = { type: finish.type, size: finish.size };
+        } else {
+            delete this.cornerFinishes[part][index];
+        }
+        this.refitPivotsToOutline(boxPivotPositions);
+    }
+    
+    // Make the box and lid hollow shells with walls of the given thickness, or solid again with null.
+    // Pivots then have to sit on the walls, so they are pulled onto them.
+    setWallThickness(thickness) {
+        if (thickness !== null && !(thickness > 0)) {
+            throw new Error('The wall thickness must be above zero');
+        }
+        if (thickness !== null && thickness >= Math.min(this.width, this.height, this.depth) / 2) {
+            throw new Error('The wall thickness must be less than half the box width, height and lid depth');
+        }
         
-        // Store perpendicular direction and center of rotation
-        this.blueConstraintLine = {
-            perpX: bluePerpX,
-            perpY: bluePerpY,
-            center: center, // Store center of rotation directly
-            dirX: blueDirX,
-            dirY: blueDirY
-        };
+        const boxPivotPositions = this.getBoxPivotPositions();
+        const previous = this.wallThickness;
+        this.wallThickness = thickness;
+        try {
+            this.getBoxShellVertices();
+            this.getClosedLidShellVertices();
+        } catch (error) {
+            this.wallThickness = previous;
+            throw error;
+        }
+        this.refitPivotsToOutline(boxPivotPositions);
+    }
+    
+    // The corners of a part's outline that can be rounded or chamfered, with their current finish
+    getFinishableCorners(part) {
+        const outline = part === 'box' ? this.getBoxOutline() : this.getClosedLidOutline();
+        const other = part === 'box' ? this.getClosedLidOutline() : this.getBoxOutline();
+        return outline
+            .map((point, index) => ({ index, point, finish: this.cornerFinishes[part][index] || null }))
+            .filter(corner => !other.some(point => this.distance(point, corner.point) < 1e-9));
+    }
+    
+    // Replace finished corners of an outline with an arc (round) or a straight cut (chamfer).
+    // Corners shared with the other part's outline stay sharp so the two still meet along the cut.
+    applyCornerFinishes(vertices, finishes, otherVertices) {
+        const n = vertices.length;
+        const result = [];
+        
+        vertices.forEach((vertex, i) => {
+            const finish = finishes[i];
+            if (!finish || otherVertices.some(other => this.distance(vertex, other) < 1e-9)) {
+                result.push(vertex);
+                return;
+            }
+            
+            const prev = vertices[(i - 1 + n) % n];
+            const next = vertices[(i + 1) % n];
+            const prevLength = this.distance(vertex, prev);
+            const nextLength = this.distance(vertex, next);
+            if (prevLength < 1e-9 || nextLength < 1e-9) {
+                result.push(vertex);
+                return;
+            }
+            const toPrev = { x: (prev.x - vertex.x) / prevLength, y: (prev.y - vertex.y) / prevLength };
+            const toNext = { x: (next.x - vertex.x) / nextLength, y: (next.y - vertex.y) / nextLength };
+            
+            // Angle between the two edges; a straight-through corner has nothing to finish
+            const angle = Math.acos(Math.max(-1, Math.min(1, toPrev.x * toNext.x + toPrev.y * toNext.y)));
+            if (angle > Math.PI - 1e-6) {
+                result.push(vertex);
+                return;
+            }
+            
+            // How far back along each edge the finish starts, using at most half of either edge
+            const maxSetback = Math.min(prevLength, nextLength) / 2;
+            const setback = Math.min(
+                finish.type === 'round' ? finish.size / Math.tan(angle / 2) : finish.size,
+                maxSetback
+            );
+            const start = { x: vertex.x + toPrev.x * setback, y: vertex.y + toPrev.y * setback };
+            const end = { x: vertex.x + toNext.x * setback, y: vertex.y + toNext.y * setback };
+            
+            if (finish.type === 'chamfer') {
+                result.push(start, end);
+                return;
+            }
+            
+            // The arc's centre is on the bisector, where a circle touches both edges at the setback points
+            const radius = setback * Math.tan(angle / 2);
+            const bisectorX = toPrev.x + toNext.x;
+            const bisectorY = toPrev.y + toNext.y;
+            const bisectorLength = Math.sqrt(bisectorX ** 2 + bisectorY ** 2);
+            const centerDistance = radius / Math.sin(angle / 2);
+            const center = {
+                x: vertex.x + bisectorX / bisectorLength * centerDistance,
+                y: vertex.y + bisectorY / bisectorLength * centerDistance
+            };
+            
+            const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+            let sweep = Math.atan2(end.y - center.y, end.x - center.x) - startAngle;
+            sweep = Math.atan2(Math.sin(sweep), Math.cos(sweep));  // The short way round
+            
+            // One segment per 10 degrees of arc, so collision checks see the real shape
+            const segments = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 18)));
+            for (let j = 0; j <= segments; j++) {
+                const a = startAngle + sweep * j / segments;
+                result.push({ x: center.x + radius * Math.cos(a), y: center.y + radius * Math.sin(a) });
+            }
+        });
+        
+        return result;
     }
     
-    // Get box vertices
+    // Get box vertices, with any rounded or chamfered corners
     getBoxVertices() {
+        return this.applyCornerFinishes(this.getBoxOutline(), this.cornerFinishes.box, this.getClosedLidOutline());
+    }
+    
+    // Get closed lid vertices, with any rounded or chamfered corners
+    getClosedLidVertices() {
+        return this.applyCornerFinishes(this.getClosedLidOutline(), this.cornerFinishes.lid, this.getBoxOutline());
+    }
+    
+    // Edges of the closed lid, with any rounded or chamfered corners, as {start, end, isCut}. Corners on
+    // the cut are never finished, so applyCornerFinishes passes them through and the cut starts at the
+    // same corner as in the sharp outline.
+    getClosedLidEdges() {
+        const outline = this.getClosedLidOutline();
+        const cutStart = outline[this.lidCutEdge];
+        const vertices = this.applyCornerFinishes(outline, this.cornerFinishes.lid, this.getBoxOutline());
+        return vertices.map((start, i) => ({ start, end: vertices[(i + 1) % vertices.length], isCut: start === cutStart }));
+    }
+    
+    // Get the box outline with sharp corners
+    getBoxOutline() {
+        if (this.profile) {
+            return this.profile.box.map(point => ({...point}));
+        }
+        
         const criticalAngle = Math.atan2(this.height, this.depth);
         
         if (this.closedAngle <= criticalAngle) {
@@ -360,8 +696,12 @@ class BoxGeometry {
         }
     }
     
-    // Get closed lid vertices
-    getClosedLidVertices() {
+    // Get the closed lid outline with sharp corners
+    getClosedLidOutline() {
+        if (this.profile) {
+            return this.profile.lid.map(point => ({...point}));
+        }
+        
         const criticalAngle = Math.atan2(this.height, this.depth);
         
         if (this.closedAngle <= criticalAngle) {
@@ -380,58 +720,401 @@ class BoxGeometry {
         }
     }
     
-    // Get open lid vertices
+    // Get open lid vertices: the closed lid in its open rest pose
     getOpenLidVertices() {
-        const criticalAngle = Math.atan2(this.height, this.depth);
+        return this.getClosedLidVertices().map(point => this.getOpenPosition(point));
+    }
+    
+    // The material of the box: its walls when it has a wall thickness, otherwise the whole outline
+    getBoxShellVertices() {
+        if (!this.wallThickness) return this.getBoxVertices();
+        return this.getWallOutline(this.getBoxVertices(), this.getClosedLidVertices(), this.wallThickness);
+    }
+    
+    // The material of the closed lid, as getBoxShellVertices
+    getClosedLidShellVertices() {
+        if (!this.wallThickness) return this.getClosedLidVertices();
+        return this.getWallOutline(this.getClosedLidVertices(), this.getBoxVertices(), this.wallThickness);
+    }
+    
+    getOpenLidShellVertices() {
+        return this.getClosedLidShellVertices().map(point => this.getOpenPosition(point));
+    }
+    
+    // The side walls of a part as one closed outline: the part's outer edges, other than the cut it
+    // shares with the other part, followed by the same edges moved inward by the wall thickness.
+    // The 3D STLs are built from the same outline.
+    //
+    // A ------- B --------------- F        outer: C D E F B (the edges away from the cut B-C)
+    // |        /                  |        inner: B' F' E' D' C', each end on the cut line
+    // |       /                   |
+    // D -- C -------------------- E
+    getWallOutline(vertices, otherVertices, thickness) {
+        const n = vertices.length;
+        const isShared = vertices.map(vertex =>
+            otherVertices.some(other => this.distance(vertex, other) < 1e-9));
+        const isCutEdge = (i) => isShared[i] && isShared[(i + 1) % n];
+        
+        // The outer chain starts at the end of the cut and runs until the cut starts again
+        const first = vertices.findIndex((_, i) => isCutEdge((i - 1 + n) % n) && !isCutEdge(i));
+        if (first === -1) {
+            throw new Error("The box and lid must share at least one cut edge");
+        }
+        const outer = [vertices[first]];
+        for (let i = first; !isCutEdge(i); i = (i + 1) % n) {
+            outer.push(vertices[(i + 1) % n]);
+        }
+        const cutBefore = [vertices[(first - 1 + n) % n], vertices[first]];
+        const last = (first + outer.length - 1) % n;
+        const cutAfter = [vertices[last], vertices[(last + 1) % n]];
+        
+        // Inward is to the left of each edge for a counter-clockwise polygon, to the right otherwise
+        const side = this.getPolygonSignedArea(vertices) > 0 ? 1 : -1;
+        let offsetEdges = outer.slice(0, -1).map((start, i) => {
+            const end = outer[i + 1];
+            const length = this.distance(start, end);
+            const normal = {
+                x: -side * (end.y - start.y) / length,
+                y: side * (end.x - start.x) / length
+            };
+            return {
+                direction: {x: end.x - start.x, y: end.y - start.y},
+                line: [
+                    {x: start.x + normal.x * thickness, y: start.y + normal.y * thickness},
+                    {x: end.x + normal.x * thickness, y: end.y + normal.y * thickness}
+                ]
+            };
+        }).filter(edge => edge.direction.x !== 0 || edge.direction.y !== 0);
         
-        if (this.closedAngle <= criticalAngle) {
-            return [
-                {x: this.width - this.gap, y: this.height},                    // A'
-                {x: this.width - this.gap - this.depth, y: this.height},      // B'
-                {x: this.width - this.gap, y: this.height + this.depth * Math.tan(this.closedAngle)} // C'
-            ];
-        } else {
-            return [
-                {x: this.width - this.gap, y: this.height},                    // A'
-                {x: this.width - this.gap - this.depth, y: this.height},      // B'
-                {x: this.width - this.gap - this.depth + this.height / Math.tan(this.closedAngle), y: 2 * this.height}, // C'
-                {x: this.width - this.gap, y: 2 * this.height}               // D'
-            ];
+        const getInner = (edges) => {
+            const inner = [this.intersectLines(edges[0].line, cutBefore) || edges[0].line[0]];
+            for (let i = 1; i < edges.length; i++) {
+                // Consecutive edges in a straight line have no corner, so just use the shared offset point
+                inner.push(this.intersectLines(edges[i - 1].line, edges[i].line) || edges[i].line[0]);
+            }
+            const lastEdge = edges[edges.length - 1];
+            inner.push(this.intersectLines(lastEdge.line, cutAfter) || lastEdge.line[1]);
+            return inner;
+        };
+        
+        // Short edges, such as those of a rounded corner tighter than the wall, come out backwards
+        // once moved inward. Drop them one at a time until the inner line runs the same way as the outer.
+        let inner = getInner(offsetEdges);
+        while (offsetEdges.length > 1) {
+            const reversed = offsetEdges.findIndex((edge, i) =>
+                (inner[i + 1].x - inner[i].x) * edge.direction.x + (inner[i + 1].y - inner[i].y) * edge.direction.y <= 0);
+            if (reversed === -1) break;
+            offsetEdges = offsetEdges.filter((_, i) => i !== reversed);
+            inner = getInner(offsetEdges);
+        }
+        
+        // Wind the outline counter-clockwise, as the extrusion expects
+        const outline = [...outer, ...inner.reverse()];
+        return side > 0 ? outline : outline.reverse();
+    }
+    
+    // Intersection of the infinite lines through two segments, or null if they are parallel
+    intersectLines([a1, a2], [b1, b2]) {
+        const dax = a2.x - a1.x, day = a2.y - a1.y;
+        const dbx = b2.x - b1.x, dby = b2.y - b1.y;
+        const denominator = dax * dby - day * dbx;
+        if (Math.abs(denominator) < 1e-12 * (dax * dax + day * day + dbx * dbx + dby * dby)) {
+            return null;
+        }
+        const t = ((b1.x - a1.x) * dby - (b1.y - a1.y) * dbx) / denominator;
+        return {x: a1.x + t * dax, y: a1.y + t * day};
+    }
+    
+    // A box pivot needs material under it: a wall, or nothing at all outside the box, where the
+    // printed part carries it on an arm. Only the hollow inside of the box is out.
+    isBoxPivotSupported(point) {
+        if (!this.wallThickness || !this.isPointInPolygon(point, this.getBoxVertices())) return true;
+        return this.isPointOnMaterial(point, this.getBoxShellVertices());
+    }
+    
+    // Inside a part's material or on its edge, where pivots that have been pulled onto it end up
+    isPointOnMaterial(point, vertices) {
+        return this.isPointInPolygon(point, vertices) ||
+            this.getDistanceFromPointToPolygonEdge(point, vertices) < this.edgeThreshold;
+    }
+    
+    // Pivots with no wall under them, e.g. in a saved design loaded into a hollow box: ['redClosed', ...]
+    getUnsupportedPivots() {
+        if (!this.wallThickness) return [];
+        const lid = this.getClosedLidShellVertices();
+        return ['red', 'blue'].flatMap(color => [
+            this.isPointOnMaterial(this[`${color}ClosedPoint`], lid) ? null : `${color}Closed`,
+            this.isBoxPivotSupported(this[`${color}BoxPoint`]) ? null : `${color}Box`
+        ]).filter(Boolean);
+    }
+    
+    // The nearest point to a box pivot along its constraint line that has material under it
+    getSupportedBoxPoint(point, line) {
+        if (this.isBoxPivotSupported(point)) return point;
+        
+        // The line leaves the hollow where it crosses the inside of the walls
+        const shell = this.getBoxShellVertices();
+        const through = [point, { x: point.x + line.perpX, y: point.y + line.perpY }];
+        let nearest = point;
+        let nearestDistance = Infinity;
+        for (let i = 0; i < shell.length; i++) {
+            const start = shell[i];
+            const end = shell[(i + 1) % shell.length];
+            const crossing = this.intersectLines(through, [start, end]);
+            if (!crossing) continue;
+            
+            // Only where the line actually meets the edge
+            const t = ((crossing.x - start.x) * (end.x - start.x) + (crossing.y - start.y) * (end.y - start.y)) /
+                ((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
+            if (t < 0 || t > 1) continue;
+            
+            const distance = this.distance(point, crossing);
+            if (distance < nearestDistance) {
+                nearest = crossing;
+                nearestDistance = distance;
+            }
         }
+        return nearest;
     }
     
     // Update the red open point based on the closed point
     updateRedOpenPoint() {
-        const center = this.centerOfRotation;
-        if (!center || !this.redClosedPoint) return;
-        
-        // Get vector from center to closed point
-        const dx = this.redClosedPoint.x - center.x;
-        const dy = this.redClosedPoint.y - center.y;
-        
-        // Set open point opposite to closed point
-        this.redOpenPoint = {
-            x: center.x - dx,
-            y: center.y - dy
-        };
+        if (!this.centerOfRotation || !this.redClosedPoint) return;
+        this.redOpenPoint = this.getOpenPosition(this.redClosedPoint);
     }
     
     // Update the blue open point based on the closed point
     updateBlueOpenPoint() {
+        if (!this.centerOfRotation || !this.blueClosedPoint) return;
+        this.blueOpenPoint = this.getOpenPosition(this.blueClosedPoint);
+    }
+    
+    // Reference point of the lid used to place the intermediate pose (centroid of the closed lid)
+    getLidReferencePoint() {
+        const vertices = this.getClosedLidVertices();
+        return {
+            x: vertices.reduce((sum, v) => sum + v.x, 0) / vertices.length,
+            y: vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length
+        };
+    }
+    
+    // Move a point on the closed lid into the intermediate pose.
+    // The pose rotates the lid by pose.angle about its reference point, then moves that point to (pose.x, pose.y).
+    transformToIntermediatePose(point, pose = this.intermediatePose) {
+        const reference = this.getLidReferencePoint();
+        const cos = Math.cos(pose.angle);
+        const sin = Math.sin(pose.angle);
+        const dx = point.x - reference.x;
+        const dy = point.y - reference.y;
+        return {
+            x: pose.x + dx * cos - dy * sin,
+            y: pose.y + dx * sin + dy * cos
+        };
+    }
+    
+    // Get intermediate lid vertices
+    getIntermediateLidVertices() {
+        if (!this.intermediatePose) return null;
+        return this.getClosedLidVertices().map(v => this.transformToIntermediatePose(v));
+    }
+    
+    // Get red and blue lid pivots in the intermediate pose
+    getIntermediatePivotPoints() {
+        if (!this.intermediatePose) return null;
+        return {
+            red: this.transformToIntermediatePose(this.redClosedPoint),
+            blue: this.transformToIntermediatePose(this.blueClosedPoint)
+        };
+    }
+    
+    // Intermediate pose the current linkage passes through half way through its motion,
+    // so switching on three-position synthesis starts from the current design
+    getDefaultIntermediatePose() {
+        const report = this.analyzeMotion(60);
+        const reference = this.getLidReferencePoint();
+        
+        if (report.poses.length > 0) {
+            const pose = report.poses[Math.floor(report.poses.length / 2)];
+            const transform = this.getLidTransform(pose.inputFollower, pose.outputFollower);
+            const position = this.transformPoint(transform, reference);
+            return {
+                x: position.x,
+                y: position.y,
+                angle: Math.atan2(transform[1][0], transform[0][0])
+            };
+        }
+        
+        // Linkage doesn't move - fall back to a quarter turn about the centre of rotation
         const center = this.centerOfRotation;
-        if (!center || !this.blueClosedPoint) return;
+        return {
+            x: center.x + (reference.y - center.y),
+            y: center.y - (reference.x - center.x),
+            angle: -Math.PI / 2
+        };
+    }
+    
+    setIntermediatePose(pose) {
+        this.intermediatePose = pose ? {...pose} : null;
+        if (this.intermediatePose) {
+            this.solveThreePositionBoxPoints();
+        }
+    }
+    
+    // A spring or gas strut from an anchor on the box to an attachment point, or a counterweight at the
+    // attachment point. The attachment is given in the closed pose and moves with its part: the lid or
+    // the red or blue rod (on an arm off the rod if it isn't on it). {type, part, anchor, attachment}
+    setBalancer(balancer) {
+        if (!balancer) {
+            this.balancer = null;
+            return;
+        }
+        if (!['spring', 'gas-strut', 'counterweight'].includes(balancer.type)) {
+            throw new Error(`Unknown balancer "${balancer.type}": use spring, gas-strut or counterweight`);
+        }
+        if (!['lid', 'red', 'blue'].includes(balancer.part)) {
+            throw new Error(`A balancer attaches to the lid or the red or blue rod, not "${balancer.part}"`);
+        }
+        if (!balancer.attachment) {
+            throw new Error('A balancer needs an attachment point');
+        }
+        if (balancer.type !== 'counterweight' && !balancer.anchor) {
+            throw new Error('A spring or gas strut needs an anchor on the box');
+        }
+        this.balancer = {
+            type: balancer.type,
+            part: balancer.part,
+            anchor: balancer.anchor ? { ...balancer.anchor } : null,
+            attachment: { ...balancer.attachment }
+        };
+    }
+    
+    // Where a point given in the closed pose is when the linkage is at a pose of analyzeMotion()'s report,
+    // carried by the lid or by the red or blue rod
+    getAttachmentPosition(point, part, pose) {
+        if (part === 'lid') {
+            return this.transformPoint(this.getLidTransform(pose.inputFollower, pose.outputFollower), point);
+        }
+        const ground = part === 'red' ? this.redBoxPoint : this.blueBoxPoint;
+        const closed = part === 'red' ? this.redClosedPoint : this.blueClosedPoint;
+        const current = part === 'red' ? pose.inputFollower : pose.outputFollower;
+        const turn = Math.atan2(current.y - ground.y, current.x - ground.x) - Math.atan2(closed.y - ground.y, closed.x - ground.x);
+        return this.rotateAbout(point, ground, turn);
+    }
+    
+    // Size the balancer to cancel the lid's weight (N) as nearly as it can over the motion, by least squares
+    // on the torque. A spring gets a stiffness (N/mm) and its force when the lid is closed (N, positive
+    // pushing its ends apart); a gas strut the same with no stiffness; a counterweight its mass (g). A spring
+    // that would need a negative stiffness gets none. Torques are in N·mm, positive where they open the lid.
+    sizeBalancer(report, statics, hardware, weight, balancer = this.balancer) {
+        if (!balancer || statics.poses.length < 2) return null;
+        const mm = hardware.mmPerUnit;
+        const poses = report.poses.slice(0, statics.poses.length);
+        const attachments = poses.map(pose => this.getAttachmentPosition(balancer.attachment, balancer.part, pose));
+        const lengths = balancer.anchor ? attachments.map(point => this.distance(point, balancer.anchor) * mm) : null;
+        
+        // How fast a value changes as the lid turns open
+        const derivative = (values) => values.map((_, i) => {
+            const before = Math.max(0, i - 1);
+            const after = Math.min(values.length - 1, i + 1);
+            const turn = Math.abs(poses[after].angle - poses[before].angle);
+            return turn > 0 ? (values[after] - values[before]) / turn : 0;
+        });
+        const gravity = statics.poses.map(pose => weight * pose.momentArm * mm);
+        
+        // Torque the balancer gives per unit of each unknown, at each pose
+        let basis;
+        if (balancer.type === 'counterweight') {
+            // Per gram of counterweight, which opens the lid when it drops
+            basis = [derivative(attachments.map(point => -point.y * mm * 9.81 / 1000))];
+        } else {
+            // Per newton of force at the closed length, and per N/mm of stiffness
+            const stretch = derivative(lengths);
+            basis = [stretch, stretch.map((rate, i) => rate * (lengths[0] - lengths[i]))];
+            if (balancer.type === 'gas-strut') basis = basis.slice(0, 1);
+        }
+        
+        const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+        const solveOne = (column) => {
+            const size = dot(column, column);
+            return size > 0 ? -dot(column, gravity) / size : 0;
+        };
+        let solution;
+        if (basis.length === 1) {
+            solution = [solveOne(basis[0])];
+        } else {
+            const [a, b] = basis;
+            const det = dot(a, a) * dot(b, b) - dot(a, b) ** 2;
+            solution = det > 1e-12 * dot(a, a) * dot(b, b)
+                ? [(-dot(a, gravity) * dot(b, b) + dot(b, gravity) * dot(a, b)) / det,
+                    (-dot(b, gravity) * dot(a, a) + dot(a, gravity) * dot(a, b)) / det]
+                : [solveOne(a), 0];
+            if (solution[1] < 0) solution = [solveOne(a), 0];
+        }
         
-        // Get vector from center to closed point
-        const dx = this.blueClosedPoint.x - center.x;
-        const dy = this.blueClosedPoint.y - center.y;
+        const sizing = {
+            type: balancer.type,
+            poses: statics.poses.map((pose, i) => ({
+                progress: pose.progress,
+                gravity: gravity[i],
+                residual: gravity[i] + basis.reduce((sum, column, j) => sum + column[i] * solution[j], 0),
+                length: lengths ? lengths[i] : null
+            })),
+            maxGravity: Math.max(...gravity.map(Math.abs)),
+            maxResidual: 0
+        };
+        sizing.maxResidual = Math.max(...sizing.poses.map(pose => Math.abs(pose.residual)));
+        
+        if (balancer.type === 'counterweight') {
+            // A counterweight that would have to pull upwards does no good
+            sizing.mass = Math.max(0, solution[0]);
+            if (solution[0] < 0) {
+                sizing.poses.forEach((pose, i) => { pose.residual = gravity[i]; });
+                sizing.maxResidual = sizing.maxGravity;
+            }
+        } else {
+            sizing.preload = solution[0];
+            sizing.stiffness = solution[1] || 0;
+            const forces = lengths.map(length => sizing.preload + sizing.stiffness * (lengths[0] - length));
+            sizing.forces = { min: Math.min(...forces), max: Math.max(...forces) };
+            sizing.lengths = { closed: lengths[0], open: lengths[lengths.length - 1], min: Math.min(...lengths), max: Math.max(...lengths) };
+        }
         
-        // Set open point opposite to closed point
-        this.blueOpenPoint = {
-            x: center.x - dx,
-            y: center.y - dy
+        return sizing;
+    }
+    
+    // Centre of the circle through three points, or null if they are (nearly) in line
+    getCircleCenter(p1, p2, p3) {
+        const d = 2 * (p1.x * (p2.y - p3.y) + p2.x * (p3.y - p1.y) + p3.x * (p1.y - p2.y));
+        const scale = Math.max(this.distance(p1, p2), this.distance(p2, p3), this.distance(p3, p1));
+        if (Math.abs(d) < 1e-6 * scale * scale) return null;
+        
+        const s1 = p1.x * p1.x + p1.y * p1.y;
+        const s2 = p2.x * p2.x + p2.y * p2.y;
+        const s3 = p3.x * p3.x + p3.y * p3.y;
+        return {
+            x: (s1 * (p2.y - p3.y) + s2 * (p3.y - p1.y) + s3 * (p1.y - p2.y)) / d,
+            y: (s1 * (p3.x - p2.x) + s2 * (p1.x - p3.x) + s3 * (p2.x - p1.x)) / d
         };
     }
     
+    // Three-position synthesis: each box pivot is the centre of the circle through the closed,
+    // intermediate and open positions of its lid pivot. That centre lies on the perpendicular
+    // bisector of closed and open, so it is always on the existing constraint line.
+    // Returns false (leaving the box pivots alone) if a pivot's three positions are in line.
+    solveThreePositionBoxPoints() {
+        const intermediate = this.getIntermediatePivotPoints();
+        if (!intermediate) return false;
+        
+        const redBox = this.getCircleCenter(this.redClosedPoint, intermediate.red, this.redOpenPoint);
+        const blueBox = this.getCircleCenter(this.blueClosedPoint, intermediate.blue, this.blueOpenPoint);
+        if (!redBox || !blueBox) return false;
+        
+        this.redBoxPoint = redBox;
+        this.blueBoxPoint = blueBox;
+        this.initializeFourBar();
+        return true;
+    }
+    
     // Get four-bar linkage points
     getFourBarPoints() {
         if (!this.fourBarConfig) return null;
@@ -465,11 +1148,22 @@ class BoxGeometry {
                 this.redClosedPoint.y - this.redBoxPoint.y,
                 this.redClosedPoint.x - this.redBoxPoint.x
             ),
-            // Store configuration (above/below input link)
-            config: this.blueClosedPoint.y > this.redClosedPoint.y ? 1 : 0
+            // Assembly branch to follow through the motion
+            branch: this.getClosedAssemblyBranch() * (this.useAlternateAssembly ? -1 : 1)
         };
     }
     
+    // Assembly branch of the closed pose (see getAssemblyBranch)
+    getClosedAssemblyBranch() {
+        return this.getAssemblyBranch(this.redClosedPoint, this.blueClosedPoint, this.blueBoxPoint) || 1;
+    }
+    
+    // Of the two linkage solutions at an input angle, the one on the given assembly branch
+    selectBranchSolution(intersections, inputFollower, outputGround, branch) {
+        const [pos1, pos2] = intersections;
+        return this.getAssemblyBranch(inputFollower, pos1, outputGround) === branch ? pos1 : pos2;
+    }
+    
     // Move points with constraints
     moveLidPoint(point, type) {
         // Get the points we're working with based on type: 'redClosed' or 'blueClosed'
@@ -500,8 +1194,8 @@ class BoxGeometry {
         // Store current positions
         const prevBoxPoint = { ...current.box };
         
-        // Constrain to lid boundaries - if outside, snap to nearest point on lid
-        const lidVertices = this.getClosedLidVertices();
+        // Constrain to lid boundaries (its walls, if hollow) - if outside, snap to nearest point on lid
+        const lidVertices = this.getClosedLidShellVertices();
         let targetPoint = point;
         if (!this.isPointInPolygon(point, lidVertices)) {
             targetPoint = this.findNearestPointInPolygon(point, lidVertices);
@@ -524,10 +1218,10 @@ class BoxGeometry {
         // update constraints
         this.updateConstraintLines();
         
-        // Project box point onto perpendicular line through COR
-        const center = this.centerOfRotation;
-        const line = current.constraintLine;
-        const dist = this.distance(current.box, center);
+        // Keep the box point as far from its constraint line's centre as before, on the updated line
+        const dist = this.distance(current.box, current.constraintLine.center);
+        const line = type === 'redClosed' ? this.redConstraintLine : this.blueConstraintLine;
+        const center = line.center;
         
         // Try both sides of the perpendicular line and keep the one closer to current position
         const sides = [1, -1];
@@ -547,7 +1241,8 @@ class BoxGeometry {
             }
         }
         
-        // Update box point to closest valid position
+        // Update box point to closest valid position, off the hollow inside of the box
+        bestPoint = this.getSupportedBoxPoint(bestPoint, line);
         current.updateBox(bestPoint);
         current.updateOpen();
         this.updateConstraintLines();
@@ -577,6 +1272,11 @@ class BoxGeometry {
                 this.updateConstraintLines();
             }
         }
+        
+        // With a third lid position, the box pivots follow from the lid pivots
+        if (this.intermediatePose) {
+            this.solveThreePositionBoxPoints();
+        }
     }
     
     moveRedClosedPoint(point) {
@@ -623,8 +1323,8 @@ class BoxGeometry {
             y: center.y + perpY * this.height
         };
         
-        // Project the point onto the perpendicular line
-        const newBoxPoint = this.projectPointOntoLineSegment(point, perpStart, perpEnd);
+        // Project the point onto the perpendicular line, then off the hollow inside of the box
+        const newBoxPoint = this.getSupportedBoxPoint(this.projectPointOntoLineSegment(point, perpStart, perpEnd), line);
         current.updateBox(newBoxPoint);
         current.updateOpen();
         this.updateConstraintLines();
@@ -735,7 +1435,7 @@ class BoxGeometry {
         this.fourBarConfig = this.getFourBarConfig();
         
         // Initialize moving lid with closed lid vertices
-        this.movingLidVertices = this.getClosedLidVertices();
+        this.movingLidVertices = this.getClosedLidShellVertices();
         
         const points = this.getFourBarPoints();
         this.previousFollowerStart = {...points.redClosed};
@@ -952,19 +1652,1301 @@ class BoxGeometry {
         return true;
     }
     
-    // Get relative position of box pivots along their constraint lines
+    // Sweep the whole opening motion in one go and report everything that can go wrong with it.
+    // This doesn't touch the animation state, so it can run after every parameter or pivot change.
+    analyzeMotion(steps = 180) {
+        const range = this.getValidAngleRange();
+        const fb = this.getFourBarConfig();
+        // A hollow box and lid only collide where their walls meet
+        const closedLidVertices = this.getClosedLidShellVertices();
+        const boxVertices = this.getBoxShellVertices();
+        
+        const report = {
+            steps,
+            range,
+            reachable: true,
+            failedAngle: null,
+            reachesOpenPose: false,
+            collisions: [],
+            hasCollision: false,
+            maxPenetrationDepth: 0,
+            reachesClosedPose: false,
+            minClearance: Infinity,
+            minClearanceAngle: null,
+            minTransmissionAngle: Infinity,
+            maxTransmissionAngle: -Infinity,
+            worstTransmissionAngle: Infinity,  // Closest the links come to lining up, 0 to 90°
+            worstTransmissionAngleAt: null,
+            branchFlips: [],  // Angles where a real hinge could drop into the mirror-image assembly
+            linkage: this.getLinkageClassification(),
+            toggles: [],
+            nearToggles: [],
+            passesIntermediatePose: null,
+            poses: []
+        };
+        
+        // The lid is meant to rest against the box at both ends of the motion, so clearance
+        // is only measured away from the rest poses
+        const restMargin = this.restPoseMargin;
+        
+        const angleStep = (range.start - range.end) / steps;
+        let previousOutputFollower = null;
+        
+        for (let i = 0; i <= steps; i++) {
+            const angle = range.start - i * angleStep;
+            
+            const inputFollower = {
+                x: fb.inputGround.x + Math.cos(angle) * fb.inputLength,
+                y: fb.inputGround.y + Math.sin(angle) * fb.inputLength
+            };
+            
+            const intersections = this.circleIntersection(
+                inputFollower,
+                fb.outputGround,
+                fb.followerLength,
+                fb.outputLength
+            );
+            
+            if (intersections.length === 0) {
+                report.reachable = false;
+                report.failedAngle = angle;
+                break;
+            }
+            
+            // Stay on the assembly branch, as the animation does
+            const outputFollower = this.selectBranchSolution(intersections, inputFollower, fb.outputGround, fb.branch);
+            
+            // A real hinge just keeps moving smoothly. If that would take it onto the other branch,
+            // the linkage has passed through a point where the two solutions meet and could go either way.
+            if (previousOutputFollower) {
+                const [pos1, pos2] = intersections;
+                const continuous = this.distance(pos1, previousOutputFollower) < this.distance(pos2, previousOutputFollower) ? pos1 : pos2;
+                if (this.getAssemblyBranch(inputFollower, continuous, fb.outputGround) === -fb.branch) {
+                    report.branchFlips.push(angle);
+                }
+            }
+            previousOutputFollower = outputFollower;
+            
+            const lidVertices = this.transformPoints(this.getLidTransform(inputFollower, outputFollower), closedLidVertices);
+            
+            // Collision with the box
+            const progress = i / steps;
+            const overlap = this.getPolygonOverlap(lidVertices, boxVertices);
+            const isColliding = this.isLidCollision(overlap.depth, progress);
+            if (isColliding) {
+                report.collisions.push({ angle, ...overlap });
+                report.maxPenetrationDepth = Math.max(report.maxPenetrationDepth, overlap.depth);
+            }
+            
+            // Clearance between lid and box
+            const clearance = isColliding ? 0 : this.getPolygonDistance(lidVertices, boxVertices);
+            if (progress >= restMargin && progress <= 1 - restMargin && clearance < report.minClearance) {
+                report.minClearance = clearance;
+                report.minClearanceAngle = angle;
+            }
+            
+            // Angle between follower and output link
+            const transmissionAngle = this.getTransmissionAngle(inputFollower, outputFollower, fb.outputGround);
+            report.minTransmissionAngle = Math.min(report.minTransmissionAngle, transmissionAngle);
+            report.maxTransmissionAngle = Math.max(report.maxTransmissionAngle, transmissionAngle);
+            if (this.getTransmissionQuality(transmissionAngle) < report.worstTransmissionAngle) {
+                report.worstTransmissionAngle = this.getTransmissionQuality(transmissionAngle);
+                report.worstTransmissionAngleAt = angle;
+            }
+            
+            report.poses.push({ angle, inputFollower, outputFollower, lidVertices, clearance, transmissionAngle });
+        }
+        
+        report.hasCollision = report.collisions.length > 0;
+        
+        // Dead-centre positions on the followed assembly branch that the opening range passes through or close to
+        report.toggles = this.getToggleAngles().map(toggle => ({
+            ...toggle,
+            distanceFromRange: this.getAngleDistanceFromRange(toggle.angle, range)
+        }));
+        // Both branches share a lid/blue rod toggle, so its mirror-image solution can be near the range too.
+        // Keep one of each kind, the closest, so the same toggle isn't reported twice.
+        report.nearToggles = [];
+        for (const toggle of report.toggles) {
+            if (toggle.branch !== 0 && toggle.branch !== fb.branch) continue;
+            if (toggle.distanceFromRange > this.toggleAngleTolerance) continue;
+            const same = report.nearToggles.findIndex(near => near.links === toggle.links && near.extended === toggle.extended);
+            if (same === -1) {
+                report.nearToggles.push(toggle);
+            } else if (toggle.distanceFromRange < report.nearToggles[same].distanceFromRange) {
+                report.nearToggles[same] = toggle;
+            }
+        }
+        
+        // With three-position synthesis, check the motion actually goes through the third lid position
+        const intermediate = this.getIntermediatePivotPoints();
+        if (intermediate) {
+            // Allow for the pose falling between two samples
+            let stepLength = 0;
+            for (let i = 1; i < report.poses.length; i++) {
+                stepLength = Math.max(stepLength,
+                    this.distance(report.poses[i].inputFollower, report.poses[i - 1].inputFollower),
+                    this.distance(report.poses[i].outputFollower, report.poses[i - 1].outputFollower));
+            }
+            const tolerance = Math.max(this.width, this.height) * 1e-3 + stepLength;
+            report.passesIntermediatePose = report.poses.some(pose =>
+                this.distance(pose.inputFollower, intermediate.red) < tolerance &&
+                this.distance(pose.outputFollower, intermediate.blue) < tolerance
+            );
+        }
+        
+        // The lid has to start and end where the closed and open poses say, not somewhere else on the circle
+        if (report.poses.length > 0) {
+            const tolerance = Math.max(this.width, this.height) * 1e-3;
+            report.reachesClosedPose = this.distance(report.poses[0].outputFollower, this.blueClosedPoint) < tolerance;
+        }
+        if (report.reachable) {
+            const finalPose = report.poses[report.poses.length - 1];
+            const tolerance = Math.max(this.width, this.height) * 1e-3;
+            report.reachesOpenPose = this.distance(finalPose.inputFollower, this.redOpenPoint) < tolerance &&
+                this.distance(finalPose.outputFollower, this.blueOpenPoint) < tolerance;
+        }
+        
+        return report;
+    }
+    
+    // Transmission angle (0 to π) between the follower and the output link at the output follower.
+    // Force is transferred best at 90° and worst when the two links line up.
+    getTransmissionAngle(inputFollower, outputFollower, outputGround) {
+        const followerX = inputFollower.x - outputFollower.x;
+        const followerY = inputFollower.y - outputFollower.y;
+        const outputX = outputGround.x - outputFollower.x;
+        const outputY = outputGround.y - outputFollower.y;
+        return Math.abs(Math.atan2(followerX * outputY - followerY * outputX, followerX * outputX + followerY * outputY));
+    }
+    
+    // Which side of the line from the input follower to the output ground the output follower is on (1, -1 or 0).
+    // The two solutions of the linkage at any input angle are on opposite sides.
+    getAssemblyBranch(inputFollower, outputFollower, outputGround) {
+        return Math.sign(
+            (outputGround.x - inputFollower.x) * (outputFollower.y - inputFollower.y) -
+            (outputGround.y - inputFollower.y) * (outputFollower.x - inputFollower.x)
+        );
+    }
+    
+    // Classify the linkage by Grashof's rule. The red rod is the input, the lid the follower
+    // and the blue rod the output; the box is the ground.
+    getLinkageClassification() {
+        const fb = this.getFourBarConfig();
+        const links = {
+            ground: this.distance(fb.inputGround, fb.outputGround),
+            input: fb.inputLength,
+            follower: fb.followerLength,
+            output: fb.outputLength
+        };
+        
+        const sorted = Object.entries(links).sort((a, b) => a[1] - b[1]);
+        const shortestLink = sorted[0][0];
+        const shortest = sorted[0][1];
+        const longest = sorted[3][1];
+        
+        // Positive when the shortest link can turn fully relative to its neighbours
+        const grashofMargin = sorted[1][1] + sorted[2][1] - shortest - longest;
+        const tolerance = Math.max(this.width, this.height) * 1e-3;
+        
+        let type;
+        if (Math.abs(grashofMargin) < tolerance) {
+            type = 'change-point';  // Links can all line up at once, where the motion becomes ambiguous
+        } else if (grashofMargin < 0) {
+            type = 'triple-rocker';
+        } else {
+            type = {
+                ground: 'double-crank',
+                input: 'crank-rocker',
+                output: 'rocker-crank',
+                follower: 'double-rocker'
+            }[shortestLink];
+        }
+        
+        return {
+            type,
+            isGrashof: grashofMargin > -tolerance,
+            grashofMargin,
+            shortestLink,
+            links
+        };
+    }
+    
+    // Input angles (0 to 2π) at which two moving links line up, where the linkage can't be driven
+    // through from one side. 'input-follower' toggles are where the red rod lines up with the lid;
+    // 'follower-output' ones are where the lid lines up with the blue rod, which is also where the
+    // input angle reaches its limit. Each toggle records which assembly branch it belongs to
+    // (0 for both, since there the two solutions meet).
+    getToggleAngles() {
+        const fb = this.getFourBarConfig();
+        const ground = this.distance(fb.inputGround, fb.outputGround);
+        const a = fb.inputLength;
+        const f = fb.followerLength;
+        const b = fb.outputLength;
+        if (ground === 0 || a === 0) return [];
+        
+        const groundAngle = Math.atan2(fb.outputGround.y - fb.inputGround.y, fb.outputGround.x - fb.inputGround.x);
+        const normalize = (angle) => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        const toggles = [];
+        
+        // Input angles where a point at distance r along the input direction is at distance
+        // target from the output ground (law of cosines on the ground triangle)
+        const solve = (r, target) => {
+            const cosine = (r * r + ground * ground - target * target) / (2 * r * ground);
+            if (Math.abs(cosine) > 1) return [];
+            const offset = Math.acos(cosine);
+            return offset === 0 ? [groundAngle] : [groundAngle + offset, groundAngle - offset];
+        };
+        
+        // Red rod and lid in line: the output follower is at a ± f along the input direction
+        for (const extended of [true, false]) {
+            const reach = extended ? a + f : a - f;
+            if (reach === 0) continue;
+            for (const direction of solve(Math.abs(reach), b)) {
+                // When folded back past the ground pivot, the input points the other way
+                const angle = reach > 0 ? direction : direction + Math.PI;
+                const inputFollower = {
+                    x: fb.inputGround.x + Math.cos(angle) * a,
+                    y: fb.inputGround.y + Math.sin(angle) * a
+                };
+                const outputFollower = {
+                    x: fb.inputGround.x + Math.cos(angle) * reach,
+                    y: fb.inputGround.y + Math.sin(angle) * reach
+                };
+                toggles.push({
+                    angle: normalize(angle),
+                    links: 'input-follower',
+                    extended,
+                    branch: this.getAssemblyBranch(inputFollower, outputFollower, fb.outputGround)
+                });
+            }
+        }
+        
+        // Lid and blue rod in line: the input follower is f ± b from the output ground
+        for (const extended of [true, false]) {
+            const reach = extended ? f + b : Math.abs(f - b);
+            for (const angle of solve(a, reach)) {
+                toggles.push({
+                    angle: normalize(angle),
+                    links: 'follower-output',
+                    extended,
+                    branch: 0
+                });
+            }
+        }
+        
+        return toggles;
+    }
+    
+    // How far an input angle is outside the opening range (0 if inside), going either way round
+    getAngleDistanceFromRange(angle, range) {
+        // Express the angle within one turn below range.start, the same way the range is
+        const turn = 2 * Math.PI;
+        const offset = (((range.start - angle) % turn) + turn) % turn;
+        const unwrapped = range.start - offset;
+        if (unwrapped >= range.end) return 0;
+        return Math.min(range.end - unwrapped, unwrapped + turn - range.start);
+    }
+    
+    // How far through the opening range an input angle is (0 closed, 1 open)
+    getOpeningProgress(angle, range = this.getValidAngleRange()) {
+        const turn = 2 * Math.PI;
+        const offset = (((range.start - angle) % turn) + turn) % turn;
+        return range.start === range.end ? 0 : offset / (range.start - range.end);
+    }
+    
+    // Volume of the printed lid, in the design's units cubed, for a lid mass from its material's density.
+    // Hardware comes from STLGenerator.getHardware(): the walls run the width of the box between two side
+    // panels, each as thick as the walls.
+    getLidVolume(hardware) {
+        const thickness = hardware.wallThickness;
+        const walls = this.getWallOutline(this.getClosedLidVertices(), this.getBoxVertices(), thickness);
+        return this.getPolygonArea(walls) * Math.max(0, hardware.boxWidth - 2 * thickness) +
+            2 * this.getPolygonArea(this.getClosedLidShellVertices()) * thickness;
+    }
+    
+    // Lid mass in grams for a material density in g/cm³
+    getLidMass(hardware, density) {
+        return density * this.getLidVolume(hardware) * hardware.mmPerUnit ** 3 / 1000;
+    }
+    
+    // How gravity acts on the lid over the motion in analyzeMotion()'s report. The lid's weight acts at the
+    // centre of its material; at each pose momentArm is its torque on the input link per unit of lid weight
+    // (a length in the design's units), positive where it pushes the lid open. Multiply by the weight to get
+    // the torque the linkage has to resist.
+    analyzeStatics(report = this.analyzeMotion()) {
+        const closedCenter = this.getPolygonCentroid(this.getClosedLidShellVertices());
+        const statics = {
+            centerOfMass: closedCenter,
+            poses: [],
+            behaviour: null,       // 'falls-closed', 'falls-open' or 'over-centre' (closes near shut, stays open)
+            balancePoints: [],     // Opening progress where the torque changes direction
+            maxMomentArm: 0,       // Largest torque per unit weight in either direction
+            maxMomentArmAt: null,
+            openCenterOfMass: this.getOpenPosition(closedCenter),
+            baseRange: null,       // x range the box stands on
+            tipsOver: false        // The open lid's centre of mass is beyond the box's base
+        };
+        
+        // The box stands on its lowest edge
+        const boxVertices = this.getBoxVertices();
+        const bottom = Math.min(...boxVertices.map(v => v.y));
+        const base = boxVertices.filter(v => v.y - bottom < 1e-9).map(v => v.x);
+        statics.baseRange = { minX: Math.min(...base), maxX: Math.max(...base) };
+        statics.tipsOver = statics.openCenterOfMass.x < statics.baseRange.minX ||
+            statics.openCenterOfMass.x > statics.baseRange.maxX;
+        
+        const poses = report.poses.map(pose => ({
+            angle: pose.angle,
+            progress: this.getOpeningProgress(pose.angle, report.range),
+            centerOfMass: this.transformPoint(this.getLidTransform(pose.inputFollower, pose.outputFollower), closedCenter)
+        }));
+        if (poses.length < 2) return statics;
+        
+        // Torque per unit weight is how fast the centre of mass drops as the input link turns the lid open
+        for (let i = 0; i < poses.length; i++) {
+            const before = poses[Math.max(0, i - 1)];
+            const after = poses[Math.min(poses.length - 1, i + 1)];
+            const turn = Math.abs(after.angle - before.angle);
+            poses[i].momentArm = turn > 0 ? -(after.centerOfMass.y - before.centerOfMass.y) / turn : 0;
+            
+            if (Math.abs(poses[i].momentArm) > Math.abs(statics.maxMomentArm)) {
+                statics.maxMomentArm = poses[i].momentArm;
+                statics.maxMomentArmAt = poses[i].angle;
+            }
+            if (i > 0 && Math.sign(poses[i].momentArm) !== Math.sign(poses[i - 1].momentArm) && poses[i].momentArm !== 0) {
+                statics.balancePoints.push(poses[i].progress);
+            }
+        }
+        statics.poses = poses;
+        
+        // Where the lid ends up if let go at either end of the motion
+        if (poses[0].momentArm > 0) {
+            statics.behaviour = 'falls-open';
+        } else if (poses[poses.length - 1].momentArm > 0) {
+            statics.behaviour = 'over-centre';
+        } else {
+            statics.behaviour = 'falls-closed';
+        }
+        
+        return statics;
+    }
+    
+    // Loads in the rods and pins over the motion from analyzeStatics(), per unit of lid weight, with the
+    // lid held still at each pose by a torque on the input rod at its box pin (a hand on the lid works the
+    // same way, through the red rod). The output rod only pins at its ends, so it is pushed or pulled along
+    // its length; the input rod also bends under the holding torque. Axial loads are positive in tension.
+    analyzeForces(report, statics = this.analyzeStatics(report)) {
+        const cross = (a, b) => a.x * b.y - a.y * b.x;
+        const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+        const weight = { x: 0, y: -1 };
+        
+        const forces = {
+            poses: [],
+            // Largest of each load over the motion
+            max: {
+                redAxial: 0,
+                blueAxial: 0,
+                redBending: 0,
+                pins: { redBox: 0, blueBox: 0, redLid: 0, blueLid: 0 }
+            }
+        };
+        
+        statics.poses.forEach((staticPose, i) => {
+            const pose = report.poses[i];
+            const redRod = sub(pose.inputFollower, this.redBoxPoint);
+            const blueRod = sub(pose.outputFollower, this.blueBoxPoint);
+            const blueDirection = { x: blueRod.x / Math.hypot(blueRod.x, blueRod.y), y: blueRod.y / Math.hypot(blueRod.x, blueRod.y) };
+            
+            // Moments on the lid about its red pin find the blue rod's push; at a dead centre it can't hold the lid
+            const lever = cross(sub(pose.outputFollower, pose.inputFollower), blueDirection);
+            const bluePush = Math.abs(lever) > 1e-12
+                ? -cross(sub(staticPose.centerOfMass, pose.inputFollower), weight) / lever
+                : Infinity;
+            // The red rod takes the rest of the weight
+            const redForce = { x: -weight.x - bluePush * blueDirection.x, y: -weight.y - bluePush * blueDirection.y };
+            const redForceSize = Math.hypot(redForce.x, redForce.y);
+            
+            const loads = {
+                angle: pose.angle,
+                progress: staticPose.progress,
+                redAxial: -(redForce.x * redRod.x + redForce.y * redRod.y) / Math.hypot(redRod.x, redRod.y),
+                blueAxial: -bluePush,
+                // Bending at the red rod's box pin, which is also the holding torque
+                redBending: Math.abs(cross(redRod, redForce)),
+                pins: { redBox: redForceSize, blueBox: Math.abs(bluePush), redLid: redForceSize, blueLid: Math.abs(bluePush) }
+            };
+            forces.poses.push(loads);
+            
+            for (const name of ['redAxial', 'blueAxial', 'redBending']) {
+                if (Math.abs(loads[name]) > Math.abs(forces.max[name]) || isNaN(loads[name])) {
+                    forces.max[name] = loads[name];
+                }
+            }
+            for (const pin of Object.keys(forces.max.pins)) {
+                forces.max.pins[pin] = Math.max(forces.max.pins[pin], loads.pins[pin]);
+            }
+        });
+        
+        return forces;
+    }
+    
+    // Compare the largest loads from analyzeForces() with what the printed rods and pins can take.
+    // Hardware comes from STLGenerator.getHardware(), the lid weight is in newtons and the material's
+    // tensile strength in MPa. Printed pins stand up off the panel, so they snap between layers where they
+    // bend; shear strength is taken as 0.6 of the tensile strength. Returns each part's worst stress (MPa)
+    // and its safety factor, strength over stress.
+    getStrengthChecks(forces, hardware, weight, tensileStrength) {
+        const mm = hardware.mmPerUnit;
+        const shearStrength = 0.6 * tensileStrength;
+        const parts = this.getLinkageParts(hardware);
+        const checks = [];
+        const check = (part, mode, stress, strength) => {
+            const existing = checks.find(c => c.part === part);
+            const safetyFactor = stress > 0 ? strength / stress : Infinity;
+            if (!existing) {
+                checks.push({ part, mode, stress, strength, safetyFactor });
+            } else if (safetyFactor < existing.safetyFactor) {
+                Object.assign(existing, { mode, stress, strength, safetyFactor });
+            }
+        };
+        
+        // Each pin carries its rod's load across the pin, and bends from its root up to the middle of the rod
+        for (const pin of parts.pins) {
+            const load = weight * forces.max.pins[pin.pivot];
+            const rod = parts.rods.find(r => r.from === pin.pivot || r.to === pin.pivot);
+            const diameter = 2 * pin.radius * mm;
+            const lever = ((rod.zMin + rod.zMax) / 2 - pin.zMin) * mm;
+            const part = pin.name.replace(/ base$/, '');
+            check(part, 'shear', 4 * load / (Math.PI * diameter ** 2), shearStrength);
+            check(part, 'bending', 32 * load * lever / (Math.PI * diameter ** 3), tensileStrength);
+        }
+        
+        // Rods are weakest either side of their holes, and the red rod also bends along its length
+        const width = hardware.linkWidth * mm;
+        const thickness = hardware.linkThickness * mm;
+        const holeSection = (hardware.rimDiameter - hardware.holeDiameter) * mm * thickness;
+        for (const color of ['red', 'blue']) {
+            const axial = weight * Math.abs(forces.max[`${color}Axial`]);
+            const bending = color === 'red' ? weight * forces.max.redBending * mm : 0;
+            check(`${color} rod`, 'tension', axial / holeSection, tensileStrength);
+            check(`${color} rod`, 'bending', axial / (width * thickness) + 6 * bending / (thickness * width ** 2), tensileStrength);
+        }
+        
+        return checks;
+    }
+    
+    // Let the lid go from rest at some way open and follow it under gravity until it hits the box at the
+    // closed or open rest pose. The linkage has one degree of freedom, the input angle, so this integrates
+    // the lid's equation of motion in that angle over analyzeMotion()'s poses, with the rods taken as
+    // massless and the lid as a flat plate of its side's shape. Damping is a rotary damper on the red box
+    // pin, in N·mm·s per radian; the lid mass is in grams.
+    // Returns the motion as input angles every timeStep seconds and, at the end, the lid's turning speed
+    // (rad/s), the speed of its fastest point (m/s) and its kinetic energy (J), or null if the lid can't
+    // get through its motion.
+    simulateFall(report, hardware, { mass, releaseProgress = 0.5, damping = 0, timeStep = 0.001, maxTime = 10 }) {
+        const poses = report.poses;
+        if (!report.reachable || poses.length < 2) return null;
+        
+        // Everything in SI units
+        const metres = hardware.mmPerUnit / 1000;
+        const kilograms = mass / 1000;
+        const dampingCoefficient = damping / 1000;
+        const gravity = 9.81;
+        
+        const shell = this.getClosedLidShellVertices();
+        const centroid = this.getPolygonCentroid(shell);
+        const inertia = kilograms * this.getPolygonPolarMoment(shell) / this.getPolygonArea(shell) * metres ** 2;
+        
+        // Centre of mass and lid rotation at each pose, and how fast they change with the input angle
+        const transforms = poses.map(pose => this.getLidTransform(pose.inputFollower, pose.outputFollower));
+        const centers = transforms.map(transform => this.transformPoint(transform, centroid));
+        const rotations = transforms.map(transform => Math.atan2(transform[1][0], transform[0][0]));
+        const step = poses[1].angle - poses[0].angle;
+        const derivative = (values) => values.map((_, i) => {
+            const before = Math.max(0, i - 1);
+            const after = Math.min(values.length - 1, i + 1);
+            let change = values[after] - values[before];
+            // Rotations wrap at ±π
+            if (values === rotations) change = Math.atan2(Math.sin(change), Math.cos(change));
+            return change / ((after - before) * step);
+        });
+        const dx = derivative(centers.map(c => c.x));
+        const dy = derivative(centers.map(c => c.y));
+        const dRotation = derivative(rotations);
+        // Effective inertia about the input angle, so the kinetic energy is ½·M·(dθ/dt)²
+        const effectiveInertia = poses.map((_, i) =>
+            kilograms * (dx[i] ** 2 + dy[i] ** 2) * metres ** 2 + inertia * dRotation[i] ** 2);
+        const dInertia = derivative(effectiveInertia);
+        
+        // Position along the poses of an input angle; below 0 is past closed, beyond the last past open
+        const indexOf = (angle) => (angle - poses[0].angle) / step;
+        const sample = (values, index) => {
+            const i = Math.min(poses.length - 2, Math.max(0, Math.floor(index)));
+            const t = Math.min(1, Math.max(0, index - i));
+            return values[i] + (values[i + 1] - values[i]) * t;
+        };
+        
+        // Lagrange's equation in the input angle
+        const acceleration = (angle, speed) => {
+            const index = indexOf(angle);
+            return -(0.5 * sample(dInertia, index) * speed ** 2 +
+                kilograms * gravity * sample(dy, index) * metres +
+                dampingCoefficient * speed) / sample(effectiveInertia, index);
+        };
+        
+        let angle = poses[0].angle + releaseProgress * (poses[poses.length - 1].angle - poses[0].angle);
+        let speed = 0;
+        let time = 0;
+        const fall = {
+            timeStep,
+            angles: [angle],
+            endsAt: null,      // 'closed', 'open', or null if the lid comes to rest in between
+            time: 0,
+            progress: releaseProgress,
+            angularSpeed: 0,
+            tipSpeed: 0,
+            energy: 0
+        };
+        
+        // A strong damper slows a light lid faster than one time step can follow, so the integration
+        // takes as many smaller steps within each one as it needs to stay stable
+        const slowest = Math.min(...effectiveInertia) / dampingCoefficient;
+        const substeps = Math.min(1000, Math.max(1, Math.ceil(timeStep / slowest)));
+        const h = timeStep / substeps;
+        let substep = 0;
+        
+        while (time < maxTime) {
+            // Fourth-order Runge-Kutta step
+            const k1 = [speed, acceleration(angle, speed)];
+            const k2 = [speed + k1[1] * h / 2, acceleration(angle + k1[0] * h / 2, speed + k1[1] * h / 2)];
+            const k3 = [speed + k2[1] * h / 2, acceleration(angle + k2[0] * h / 2, speed + k2[1] * h / 2)];
+            const k4 = [speed + k3[1] * h, acceleration(angle + k3[0] * h, speed + k3[1] * h)];
+            const nextAngle = angle + (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]) * h / 6;
+            const nextSpeed = speed + (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]) * h / 6;
+            
+            // Stop where the lid reaches either rest pose, partway through the step
+            const index = indexOf(nextAngle);
+            const last = poses.length - 1;
+            if (index <= 0 || index >= last) {
+                const end = index <= 0 ? 0 : last;
+                const previous = indexOf(angle);
+                const t = previous === index ? 0 : Math.min(1, Math.max(0, (previous - end) / (previous - index)));
+                speed += (nextSpeed - speed) * t;
+                time += h * t;
+                angle = poses[end].angle;
+                fall.endsAt = end === 0 ? 'closed' : 'open';
+                fall.angles.push(angle);
+                break;
+            }
+            
+            angle = nextAngle;
+            speed = nextSpeed;
+            time += h;
+            substep = (substep + 1) % substeps;
+            
+            // Balanced, or damped to a standstill
+            const stopped = Math.abs(speed) < 1e-6 && Math.abs(acceleration(angle, 0)) < 1e-6;
+            if (substep === 0 || stopped) fall.angles.push(angle);
+            if (stopped) break;
+        }
+        
+        const index = Math.min(poses.length - 1, Math.max(0, indexOf(angle)));
+        fall.time = time;
+        fall.progress = index / (poses.length - 1);
+        fall.angularSpeed = Math.abs(sample(dRotation, index) * speed);
+        fall.energy = 0.5 * sample(effectiveInertia, index) * speed ** 2;
+        
+        // The fastest point on the lid is one of its corners
+        const near = Math.min(poses.length - 2, Math.floor(index));
+        fall.tipSpeed = Math.max(...shell.map(vertex => {
+            const from = this.transformPoint(transforms[near], vertex);
+            const to = this.transformPoint(transforms[near + 1], vertex);
+            return Math.hypot(to.x - from.x, to.y - from.y) / Math.abs(step);
+        })) * Math.abs(speed) * metres;
+        
+        return fall;
+    }
+    
+    // The hardest the lid hits each rest pose when let go from rest: from just past a balance point or from
+    // the other rest pose, whichever it falls onto that pose from. Takes simulateFall()'s settings other than
+    // the release, and gives simulateFall()'s result for the closed and open poses, or null for a pose
+    // gravity never takes the lid to.
+    simulateSlams(report, hardware, settings, statics = this.analyzeStatics(report)) {
+        const slams = { closed: null, open: null };
+        if (!report.reachable || statics.poses.length < 2) return slams;
+        
+        const nudge = 1 / (statics.poses.length - 1);
+        const releases = [0, 1, ...statics.balancePoints.flatMap(point => [point - nudge, point + nudge])]
+            .filter(progress => progress >= 0 && progress <= 1);
+        for (const releaseProgress of releases) {
+            const fall = this.simulateFall(report, hardware, { ...settings, releaseProgress });
+            // Let go against a rest pose it is pushed into, the lid just stays there
+            if (!fall || !fall.endsAt || fall.time < fall.timeStep) continue;
+            if (!slams[fall.endsAt] || fall.energy > slams[fall.endsAt].energy) {
+                slams[fall.endsAt] = { ...fall, releaseProgress };
+            }
+        }
+        return slams;
+    }
+    
+    // How the lid follows the input (red) rod over analyzeMotion()'s poses: how far each has turned from
+    // the closed pose (radians, positive towards open), the velocity ratio between them, and where the lid's
+    // front corner (the one farthest from the hinge) is
+    getKinematics(report = this.analyzeMotion()) {
+        const hinge = this.getHingePoint();
+        const corner = this.getClosedLidVertices().reduce((farthest, vertex) =>
+            this.distance(vertex, hinge) > this.distance(farthest, hinge) ? vertex : farthest);
+        const kinematics = { corner, poses: [] };
+        if (report.poses.length < 2) return kinematics;
+        
+        // Unwrapped lid rotation at each pose
+        let lidTurn = 0;
+        let previousRotation = 0;
+        const poses = report.poses.map(pose => {
+            const transform = this.getLidTransform(pose.inputFollower, pose.outputFollower);
+            const rotation = Math.atan2(transform[1][0], transform[0][0]);
+            lidTurn += Math.atan2(Math.sin(rotation - previousRotation), Math.cos(rotation - previousRotation));
+            previousRotation = rotation;
+            return {
+                inputTurn: Math.abs(pose.angle - report.poses[0].angle),
+                lidTurn,
+                corner: this.transformPoint(transform, corner)
+            };
+        });
+        
+        // Count the lid's turn as positive the way it opens
+        const direction = Math.sign(poses[poses.length - 1].lidTurn) || 1;
+        poses.forEach(pose => { pose.lidTurn *= direction; });
+        poses.forEach((pose, i) => {
+            const before = poses[Math.max(0, i - 1)];
+            const after = poses[Math.min(poses.length - 1, i + 1)];
+            pose.velocityRatio = (after.lidTurn - before.lidTurn) / (after.inputTurn - before.inputTurn);
+        });
+        kinematics.poses = poses;
+        
+        return kinematics;
+    }
+    
+    // The pose data for CAD and documentation: every step of the valid angle range, with the input (red)
+    // rod's angle and the lid's rotation from closed in degrees, both moving pivots, the lid outline
+    // and its clearance to the box, all in the design's units
+    getMotionTable(steps = 180) {
+        const report = this.analyzeMotion(steps);
+        const kinematics = this.getKinematics(report);
+        const closedLidVertices = this.getClosedLidVertices();
+        const degrees = (radians) => radians * 180 / Math.PI;
+        
+        return report.poses.map((pose, i) => ({
+            inputAngle: degrees(pose.angle),
+            lidRotation: degrees(kinematics.poses[i] ? kinematics.poses[i].lidTurn : 0),
+            inputFollower: { ...pose.inputFollower },
+            outputFollower: { ...pose.outputFollower },
+            lidVertices: this.transformPoints(this.getLidTransform(pose.inputFollower, pose.outputFollower), closedLidVertices),
+            clearance: pose.clearance
+        }));
+    }
+    
+    // getMotionTable() as text: CSV with one row per step and an x and y column per point, or JSON
+    formatMotionTable(table, format, units) {
+        if (format === 'json') {
+            return JSON.stringify({ units, poses: table }, null, 2) + '\n';
+        }
+        
+        // Units go in the column names, so the file stays plain CSV
+        const vertexCount = table.length > 0 ? table[0].lidVertices.length : 0;
+        const lengths = [
+            'inputFollowerX', 'inputFollowerY', 'outputFollowerX', 'outputFollowerY',
+            ...Array.from({ length: vertexCount }, (_, i) => [`lid${i + 1}X`, `lid${i + 1}Y`]).flat(),
+            'clearance'
+        ];
+        const header = ['inputAngle (deg)', 'lidRotation (deg)', ...lengths.map(name => `${name} (${units})`)];
+        const number = (value) => +value.toFixed(4);
+        const rows = table.map(row => [
+            row.inputAngle, row.lidRotation,
+            row.inputFollower.x, row.inputFollower.y, row.outputFollower.x, row.outputFollower.y,
+            ...row.lidVertices.flatMap(vertex => [vertex.x, vertex.y]),
+            row.clearance
+        ].map(number).join(','));
+        
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+    
+    // Monte Carlo tolerance analysis: build the hinge many times over with every pivot hole up to
+    // pivotError from where the template puts it (in any direction) and each rod's hole spacing up to
+    // lengthError long or short, then swing each build's red rod through the design's range.
+    // A build that is slightly off always closes and opens against the box a little early or late,
+    // so near a rest pose only overlaps deeper than the build's lid is off there count as collisions.
+    // A build that can't be assembled, or whose lid has to sink into the box to get to its open pose
+    // (so really stops against it early), doesn't reach the open pose. The random numbers come from
+    // a fixed seed, so the same design always gives the same answer.
+    analyzeTolerance({ pivotError = 0.5, lengthError = pivotError, samples = 200, steps = 60, seed = 1 } = {}) {
+        const range = this.getValidAngleRange();
+        const fb = this.getFourBarConfig();
+        const closedLidVertices = this.getClosedLidVertices();
+        const closedLidShell = this.getClosedLidShellVertices();
+        const boxVertices = this.getBoxShellVertices();
+        const hinge = this.getHingePoint();
+        const corner = closedLidVertices.reduce((farthest, vertex) =>
+            this.distance(vertex, hinge) > this.distance(farthest, hinge) ? vertex : farthest);
+        const reference = this.getLidReferencePoint();
+        // Farthest any lid corner is from where it should be, for a lid pose
+        const misplacement = (transform, target) => Math.max(...closedLidVertices.map(vertex =>
+            this.distance(this.transformPoint(transform, vertex), target(vertex))));
+        
+        const random = this.createRandom(seed);
+        // Evenly spread over a disc of the given radius
+        const offset = (point, radius) => {
+            const angle = 2 * Math.PI * random();
+            const distance = radius * Math.sqrt(random());
+            return { x: point.x + Math.cos(angle) * distance, y: point.y + Math.sin(angle) * distance };
+        };
+        const lengthOffset = () => (2 * random() - 1) * lengthError;
+        
+        const builds = [];
+        for (let sample = 0; sample < samples; sample++) {
+            const inputGround = offset(fb.inputGround, pivotError);
+            const outputGround = offset(fb.outputGround, pivotError);
+            const redClosed = offset(this.redClosedPoint, pivotError);
+            const blueClosed = offset(this.blueClosedPoint, pivotError);
+            const inputLength = fb.inputLength + lengthOffset();
+            const outputLength = fb.outputLength + lengthOffset();
+            const followerLength = this.distance(redClosed, blueClosed);
+            
+            const build = { reachable: true, reachesOpenPose: false, hasCollision: false, worstCollision: null, open: null };
+            const angleStep = (range.start - range.end) / steps;
+            const poses = [];
+            for (let i = 0; i <= steps; i++) {
+                const angle = range.start - i * angleStep;
+                const inputFollower = {
+                    x: inputGround.x + Math.cos(angle) * inputLength,
+                    y: inputGround.y + Math.sin(angle) * inputLength
+                };
+                const intersections = this.circleIntersection(inputFollower, outputGround, followerLength, outputLength);
+                if (intersections.length === 0) {
+                    build.reachable = false;
+                    break;
+                }
+                const outputFollower = this.selectBranchSolution(intersections, inputFollower, outputGround, fb.branch);
+                poses.push({ angle, progress: i / steps, transform: this.getLidTransform(inputFollower, outputFollower, redClosed, blueClosed) });
+            }
+            
+            // Near a rest pose the lid can overlap the box by as much as this build's lid is off there,
+            // just by landing early or late
+            const closedAllowance = poses.length > 0
+                ? this.restContactDepth + misplacement(poses[0].transform, vertex => vertex)
+                : this.restContactDepth;
+            const openAllowance = build.reachable
+                ? this.restContactDepth + misplacement(poses[poses.length - 1].transform, vertex => this.getOpenPosition(vertex))
+                : this.restContactDepth;
+            for (const { angle, progress, transform } of poses) {
+                const limit = progress < this.restPoseMargin ? closedAllowance
+                    : progress > 1 - this.restPoseMargin ? openAllowance
+                    : this.collisionDepthThreshold;
+                const overlap = this.getPolygonOverlap(this.transformPoints(transform, closedLidShell), boxVertices);
+                if (overlap.depth > limit) {
+                    build.hasCollision = true;
+                    if (!build.worstCollision || overlap.depth > build.worstCollision.depth) {
+                        build.worstCollision = { angle, depth: overlap.depth, polygons: overlap.polygons };
+                    }
+                }
+            }
+            
+            if (build.reachable) {
+                // Where the lid ends up against the nominal open pose, and its gap to the box there
+                // (negative where it would have to sink into the box, i.e. it lands early)
+                const transform = poses[poses.length - 1].transform;
+                const shell = this.transformPoints(transform, closedLidShell);
+                const overlap = this.getPolygonOverlap(shell, boxVertices);
+                const nominal = this.getOpenPosition(reference);
+                const actual = this.transformPoint(transform, reference);
+                const rotation = Math.atan2(transform[1][0], transform[0][0]) + this.openRestAngle;
+                build.open = {
+                    vertices: this.transformPoints(transform, closedLidVertices),
+                    corner: this.transformPoint(transform, corner),
+                    shift: { x: actual.x - nominal.x, y: actual.y - nominal.y },
+                    rotation: Math.atan2(Math.sin(rotation), Math.cos(rotation)),
+                    gap: overlap.depth > 0 ? -overlap.depth : this.getPolygonDistance(shell, boxVertices)
+                };
+                build.reachesOpenPose = overlap.depth <= this.restContactDepth;
+            }
+            builds.push(build);
+        }
+        
+        const spread = (values) => {
+            if (values.length === 0) return null;
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+            return { min: Math.min(...values), max: Math.max(...values), mean, standardDeviation: Math.sqrt(variance) };
+        };
+        const opened = builds.filter(build => build.open);
+        
+        return {
+            pivotError,
+            lengthError,
+            samples,
+            builds,
+            collisionRate: builds.filter(build => build.hasCollision).length / samples,
+            unreachableRate: builds.filter(build => !build.reachesOpenPose).length / samples,
+            openCorner: this.getOpenPosition(corner),
+            openShift: spread(opened.map(build => Math.hypot(build.open.shift.x, build.open.shift.y))),
+            openRotation: spread(opened.map(build => build.open.rotation)),
+            openGap: spread(opened.map(build => build.open.gap))
+        };
+    }
+    
+    // Follow a point fixed to the lid (given on the closed lid) through the motion, and find how high
+    // it gets and how far it swings out past the back of the box (negative if it stays over the box)
+    traceLidPoint(point, report = this.analyzeMotion()) {
+        const trace = {
+            point,
+            path: [],
+            maxHeight: -Infinity,
+            maxHeightAt: null,
+            maxRearward: -Infinity,
+            maxRearwardAt: null
+        };
+        
+        for (const pose of report.poses) {
+            const position = this.transformPoint(this.getLidTransform(pose.inputFollower, pose.outputFollower), point);
+            trace.path.push({ angle: pose.angle, x: position.x, y: position.y });
+            
+            if (position.y > trace.maxHeight) {
+                trace.maxHeight = position.y;
+                trace.maxHeightAt = pose.angle;
+            }
+            if (position.x - this.width > trace.maxRearward) {
+                trace.maxRearward = position.x - this.width;
+                trace.maxRearwardAt = pose.angle;
+            }
+        }
+        
+        return trace;
+    }
+    
+    // Describe the physical pins, rods and walls as the STL files build them, for the interference checks.
+    // Hardware sizes come from STLGenerator.getHardware() and are in the same units as the geometry.
+    // Heights are measured from the face of the box/lid panel the rods run on.
+    getLinkageParts(hardware) {
+        // The higher pivot on each part gets a short pin, the lower one a tall pin (as in the STLs)
+        const isRedBoxPinShort = this.redBoxPoint.y > this.blueBoxPoint.y;
+        const isRedLidPinShort = this.redClosedPoint.y > this.blueClosedPoint.y;
+        const pinTypes = {
+            redBox: isRedBoxPinShort ? 'short' : 'tall',
+            blueBox: isRedBoxPinShort ? 'tall' : 'short',
+            redLid: isRedLidPinShort ? 'short' : 'tall',
+            blueLid: isRedLidPinShort ? 'tall' : 'short'
+        };
+        
+        const pinNames = {
+            redBox: 'red box pin',
+            blueBox: 'blue box pin',
+            redLid: 'red lid pin',
+            blueLid: 'blue lid pin'
+        };
+        
+        const pins = [];
+        for (const [pivot, type] of Object.entries(pinTypes)) {
+            if (type === 'short') {
+                pins.push({
+                    name: pinNames[pivot],
+                    pivot,
+                    radius: hardware.shortPinDiameter / 2,
+                    zMin: 0,
+                    zMax: hardware.shortPinHeight + hardware.pinRidgeHeight
+                });
+            } else {
+                // Wide base that lifts the upper rod, then a normal axle on top
+                pins.push({
+                    name: `${pinNames[pivot]} base`,
+                    pivot,
+                    radius: hardware.tallPinBaseDiameter / 2,
+                    zMin: 0,
+                    zMax: hardware.tallPinBaseHeight
+                });
+                pins.push({
+                    name: pinNames[pivot],
+                    pivot,
+                    radius: hardware.tallPinTopDiameter / 2,
+                    zMin: hardware.tallPinBaseHeight,
+                    zMax: hardware.tallPinBaseHeight + hardware.tallPinTopHeight + hardware.pinRidgeHeight
+                });
+            }
+        }
+        
+        // Each rod sits on its box pin: on the panel for a short pin, on top of the base for a tall one
+        const rods = ['red', 'blue'].map(color => {
+            const zMin = pinTypes[`${color}Box`] === 'short' ? 0 : hardware.tallPinBaseHeight;
+            return {
+                name: `${color} rod`,
+                from: `${color}Box`,
+                to: `${color}Lid`,
+                width: hardware.linkWidth,
+                rimDiameter: hardware.rimDiameter,
+                zMin,
+                zMax: zMin + hardware.linkThickness,
+                // A rod has to turn on the same kind of pin at both ends to lie flat
+                isLevel: pinTypes[`${color}Box`] === pinTypes[`${color}Lid`]
+            };
+        });
+        
+        // Box and lid walls, where they stand out on the rods' side of the panel
+        const walls = [
+            { name: 'box wall', part: 'box', polygons: this.getWallPolygons('box', hardware.wallThickness) },
+            { name: 'lid wall', part: 'lid', polygons: this.getWallPolygons('lid', hardware.wallThickness) }
+        ].map(wall => ({ ...wall, zMin: 0, zMax: hardware.wallHeight || 0 }));
+        
+        return { pins, rods, walls };
+    }
+    
+    // Walls of the box or closed lid as one strip of the given thickness inside each outline edge.
+    // The cut between box and lid is open, so it has no wall (as in the 3D STLs).
+    getWallPolygons(part, thickness) {
+        const vertices = part === 'box' ? this.getBoxVertices() : this.getClosedLidVertices();
+        const other = part === 'box' ? this.getClosedLidVertices() : this.getBoxVertices();
+        const isShared = (point) => other.some(v => this.distance(v, point) < 1e-9);
+        
+        // Inward normal side depends on which way round the outline goes
+        const inward = this.getPolygonSignedArea(vertices) > 0 ? 1 : -1;
+        const walls = [];
+        
+        for (let i = 0; i < vertices.length; i++) {
+            const start = vertices[i];
+            const end = vertices[(i + 1) % vertices.length];
+            if (isShared(start) && isShared(end)) continue;
+            
+            const length = this.distance(start, end);
+            if (length === 0) continue;
+            const nx = -(end.y - start.y) / length * inward * thickness;
+            const ny = (end.x - start.x) / length * inward * thickness;
+            walls.push([
+                start,
+                end,
+                { x: end.x + nx, y: end.y + ny },
+                { x: start.x + nx, y: start.y + ny }
+            ]);
+        }
+        return walls;
+    }
+    
+    // Outline of a rod (bar plus round rims at both ends) as a set of convex polygons
+    getRodPolygons(rodStart, rodEnd, rod, rimSegments = 16) {
+        const length = this.distance(rodStart, rodEnd);
+        const polygons = [];
+        
+        if (length > 0) {
+            const nx = -(rodEnd.y - rodStart.y) / length * rod.width / 2;
+            const ny = (rodEnd.x - rodStart.x) / length * rod.width / 2;
+            polygons.push([
+                { x: rodStart.x - nx, y: rodStart.y - ny },
+                { x: rodEnd.x - nx, y: rodEnd.y - ny },
+                { x: rodEnd.x + nx, y: rodEnd.y + ny },
+                { x: rodStart.x + nx, y: rodStart.y + ny }
+            ]);
+        }
+        
+        for (const center of [rodStart, rodEnd]) {
+            const rim = [];
+            for (let i = 0; i < rimSegments; i++) {
+                const angle = 2 * Math.PI * i / rimSegments;
+                rim.push({
+                    x: center.x + Math.cos(angle) * rod.rimDiameter / 2,
+                    y: center.y + Math.sin(angle) * rod.rimDiameter / 2
+                });
+            }
+            polygons.push(rim);
+        }
+        return polygons;
+    }
+    
+    // Outline of a rod leaving out its rim at the pinned end and the part of the bar under that rim
+    getRodPolygonsAwayFromPin(pinned, free, rod) {
+        const length = this.distance(pinned, free);
+        const rimRadius = rod.rimDiameter / 2;
+        if (length <= rimRadius) return this.getRodPolygons(free, free, rod).slice(-1);
+        
+        const start = {
+            x: pinned.x + (free.x - pinned.x) / length * rimRadius,
+            y: pinned.y + (free.y - pinned.y) / length * rimRadius
+        };
+        const [bar, , rim] = this.getRodPolygons(start, free, rod);
+        return [bar, rim];
+    }
+    
+    // Check the rods against the box and lid walls they share a layer with over the whole motion.
+    // Parts come from getLinkageParts(). Reports the overlap shapes so they can be drawn like lid collisions.
+    analyzeRodWallCollisions(parts, report = this.analyzeMotion()) {
+        const result = {
+            // Walls that don't stand out on the rods' side (a wall height of 0) leave nothing to check
+            checked: parts.walls.some(wall => wall.zMax > wall.zMin),
+            collisions: [],  // [{ angle, rod, wall, polygons, depth }]
+            hasCollision: false,
+            maxPenetrationDepth: 0
+        };
+        
+        const pairs = [];
+        for (const rod of parts.rods) {
+            for (const wall of parts.walls) {
+                if (rod.zMin < wall.zMax && wall.zMin < rod.zMax) pairs.push({ rod, wall });
+            }
+        }
+        if (pairs.length === 0) return result;
+        
+        for (const pose of report.poses) {
+            const positions = {
+                redBox: this.redBoxPoint,
+                blueBox: this.blueBoxPoint,
+                redLid: pose.inputFollower,
+                blueLid: pose.outputFollower
+            };
+            const lidTransform = this.getLidTransform(pose.inputFollower, pose.outputFollower);
+            
+            for (const { rod, wall } of pairs) {
+                // The rod turns on a pin in this part at one end. Around that pin it is fixed to the part,
+                // so only the rest of the rod can run into the part's wall.
+                const rodPolygons = wall.part === 'box'
+                    ? this.getRodPolygonsAwayFromPin(positions[rod.from], positions[rod.to], rod)
+                    : this.getRodPolygonsAwayFromPin(positions[rod.to], positions[rod.from], rod);
+                const wallPolygons = wall.part === 'lid'
+                    ? wall.polygons.map(polygon => this.transformPoints(lidTransform, polygon))
+                    : wall.polygons;
+                
+                const polygons = [];
+                let depth = 0;
+                for (const rodPolygon of rodPolygons) {
+                    for (const wallPolygon of wallPolygons) {
+                        const overlap = this.getPolygonOverlap(rodPolygon, wallPolygon);
+                        if (overlap.depth > this.collisionDepthThreshold) {
+                            polygons.push(...overlap.polygons);
+                            depth = Math.max(depth, overlap.depth);
+                        }
+                    }
+                }
+                
+                if (polygons.length > 0) {
+                    result.collisions.push({ angle: pose.angle, rod: rod.name, wall: wall.name, polygons, depth });
+                    result.maxPenetrationDepth = Math.max(result.maxPenetrationDepth, depth);
+                }
+            }
+        }
+        
+        result.hasCollision = result.collisions.length > 0;
+        return result;
+    }
+    
+    // Check the physical rods against every pin and every other rod on the same layer over the whole motion.
+    // Parts come from getLinkageParts() and are in the same units as the geometry:
+    //   pins: [{ name, pivot, radius, zMin, zMax }]  pivot is 'redBox', 'blueBox', 'redLid' or 'blueLid'
+    //   rods: [{ name, from, to, width, rimDiameter, zMin, zMax }]  from/to are pivot names
+    // Reports the smallest clearance, the pose and pair where it happens, and every pair that interferes.
+    analyzeInterference(parts, report = this.analyzeMotion()) {
+        const result = {
+            minClearance: Infinity,
+            worstPair: null,
+            worstAngle: null,
+            worstPose: null,
+            interferences: [],  // One entry per interfering pair, at its worst pose
+            hasInterference: false
+        };
+        
+        const overlapsInZ = (a, b) => a.zMin < b.zMax && b.zMin < a.zMax;
+        const interferenceByPair = new Map();
+        
+        const record = (pair, clearance, pose) => {
+            if (clearance < result.minClearance) {
+                result.minClearance = clearance;
+                result.worstPair = pair;
+                result.worstAngle = pose.angle;
+                result.worstPose = pose;
+            }
+            if (clearance < 0) {
+                const key = pair.join('|');
+                const existing = interferenceByPair.get(key);
+                if (!existing || clearance < existing.clearance) {
+                    interferenceByPair.set(key, { pair, clearance, angle: pose.angle });
+                }
+            }
+        };
+        
+        for (const pose of report.poses) {
+            const positions = {
+                redBox: this.redBoxPoint,
+                blueBox: this.blueBoxPoint,
+                redLid: pose.inputFollower,
+                blueLid: pose.outputFollower
+            };
+            
+            parts.rods.forEach((rod, i) => {
+                const rodStart = positions[rod.from];
+                const rodEnd = positions[rod.to];
+                
+                // Pins the rod doesn't turn on
+                for (const pin of parts.pins) {
+                    if (pin.pivot === rod.from || pin.pivot === rod.to || !overlapsInZ(rod, pin)) continue;
+                    const clearance = this.getRodClearance(rodStart, rodEnd, rod, positions[pin.pivot], pin.radius);
+                    record([rod.name, pin.name], clearance, pose);
+                }
+                
+                // Other rods on the same layer
+                for (const other of parts.rods.slice(i + 1)) {
+                    if (!overlapsInZ(rod, other)) continue;
+                    const clearance = this.getRodToRodClearance(rodStart, rodEnd, rod, positions[other.from], positions[other.to], other);
+                    record([rod.name, other.name], clearance, pose);
+                }
+            });
+        }
+        
+        result.interferences = [...interferenceByPair.values()];
+        result.hasInterference = result.interferences.length > 0;
+        return result;
+    }
+    
+    // Gap between a rod (a bar of the given width with round rims at both ends) and a circle.
+    // Negative when they overlap.
+    getRodClearance(rodStart, rodEnd, rod, center, radius) {
+        return Math.min(
+            this.getDistanceFromPointToLineSegment(center, rodStart, rodEnd) - rod.width / 2,
+            this.distance(center, rodStart) - rod.rimDiameter / 2,
+            this.distance(center, rodEnd) - rod.rimDiameter / 2
+        ) - radius;
+    }
+    
+    // Gap between two rods. Negative when they overlap.
+    getRodToRodClearance(startA, endA, rodA, startB, endB, rodB) {
+        return Math.min(
+            this.getSegmentDistance(startA, endA, startB, endB) - rodA.width / 2 - rodB.width / 2,
+            this.getRodClearance(startB, endB, rodB, startA, rodA.rimDiameter / 2),
+            this.getRodClearance(startB, endB, rodB, endA, rodA.rimDiameter / 2),
+            this.getRodClearance(startA, endA, rodA, startB, rodB.rimDiameter / 2),
+            this.getRodClearance(startA, endA, rodA, endB, rodB.rimDiameter / 2)
+        );
+    }
+    
+    // Shortest distance between two line segments (0 if they cross)
+    getSegmentDistance(startA, endA, startB, endB) {
+        if (this.lineIntersection(startA, endA, startB, endB)) return 0;
+        return Math.min(
+            this.getDistanceFromPointToLineSegment(startA, startB, endB),
+            this.getDistanceFromPointToLineSegment(endA, startB, endB),
+            this.getDistanceFromPointToLineSegment(startB, startA, endA),
+            this.getDistanceFromPointToLineSegment(endB, startA, endA)
+        );
+    }
+    
+    // Everything wrong with the design that should stop someone building it, as [{ code, message }].
+    // Takes the results the caller has already worked out, so the page, the CLI and the sweep share one
+    // set of rules:
+    //   motion        from analyzeMotion()
+    //   hardware      part sizes from STLGenerator.getHardware(), in the geometry's units
+    //   parts         from getLinkageParts(hardware)
+    //   interference  from analyzeInterference(parts, motion)
+    //   rodWall       from analyzeRodWallCollisions(parts, motion)
+    //   statics       from analyzeStatics(motion)
+    //   strengthChecks from getStrengthChecks(), for the lid's weight
+    // Checks whose results are missing are skipped. minTransmissionAngle is in radians.
+    getProblems({ motion, hardware, parts, interference, rodWall, statics, strengthChecks },
+        { minTransmissionAngle = Math.PI / 6, minSafetyFactor = 3 } = {}) {
+        const problems = [];
+        const problem = (code, message) => problems.push({ code, message });
+        const percentOpen = (angle) => Math.round(100 * this.getOpeningProgress(angle, motion.range));
+        
+        if (!motion.reachable) {
+            problem('unreachable', 'The lid cannot reach the open position. Try adjusting the pivot points.');
+        } else if (!motion.reachesClosedPose) {
+            problem('misses-closed-pose', 'In this assembly mode the lid does not close onto the box. Switch back to the normal assembly mode or adjust the pivot points.');
+        } else if (!motion.reachesOpenPose) {
+            problem('misses-open-pose', 'The lid does not end up in the open position. Try adjusting the pivot points.');
+        }
+        if (motion.hasCollision) {
+            problem('lid-collision', 'The lid collides with the box during opening/closing. Adjust the pivot points to prevent collision.');
+        }
+        if (motion.branchFlips.length > 0) {
+            problem('branch-flip', 'The linkage flips into its mirror configuration during the motion, so the real hinge would jam. Adjust the pivot points.');
+        }
+        if (motion.worstTransmissionAngle < minTransmissionAngle) {
+            const toDegrees = (angle) => (angle * 180 / Math.PI).toFixed(0);
+            problem('poor-transmission', `The transmission angle drops to ${toDegrees(motion.worstTransmissionAngle)}° (below ${toDegrees(minTransmissionAngle)}°), so the hinge may feel sticky. Try moving the pivot points to keep the rods further from lining up.`);
+        }
+        for (const toggle of motion.nearToggles) {
+            const links = toggle.links === 'input-follower' ? 'red rod lines up with the lid' : 'lid lines up with the blue rod';
+            const where = toggle.distanceFromRange > 0 ? 'just outside the opening range' : `${percentOpen(toggle.angle)}% of the way open`;
+            problem('near-dead-centre', `The linkage passes close to a dead-centre position (the ${links}${toggle.extended ? '' : ', folded back'}) ${where}, where the hinge can jam or snap over. Try moving the pivot points.`);
+        }
+        if (motion.passesIntermediatePose === false) {
+            problem('misses-intermediate-pose', 'The lid does not pass through the intermediate position. Try moving or rotating the dashed lid, or the lid pivot points.');
+        }
+        for (const pivot of this.getUnsupportedPivots()) {
+            problem('pivot-off-wall', `The ${pivot.replace('Closed', ' lid').replace('Box', ' box')} pivot is not on a wall of the hollow part. Drag it onto a wall.`);
+        }
+        
+        if (interference) {
+            for (const hit of interference.interferences) {
+                const overlap = hardware ? `by ${(-hit.clearance * hardware.mmPerUnit).toFixed(1)}mm, ` : '';
+                problem('interference', `The ${hit.pair[0]} collides with the ${hit.pair[1]} (${overlap}worst at ${percentOpen(hit.angle)}% open). Move the pivot points or decrease the pivot axle diameter, rim diameter or rod width.`);
+            }
+        }
+        if (rodWall && rodWall.checked) {
+            for (const pair of new Set(rodWall.collisions.map(collision => `${collision.rod} hits the ${collision.wall}`))) {
+                problem('rod-wall-collision', `The ${pair} during opening/closing. Move the pivot points, or set the wall height on the rod side to 0 if the hinge goes on the outside of the box.`);
+            }
+        }
+        if (parts) {
+            for (const rod of parts.rods.filter(rod => !rod.isLevel)) {
+                problem('rod-not-level', `The ${rod.name} joins a short pin to a tall pin, so it won't sit flat. Move the pivot points so the same rod is on top on both the box and the lid.`);
+            }
+        }
+        if (statics && statics.tipsOver) {
+            problem('tips-over', 'The open lid\'s centre of mass is past the edge of the box, so the box tips over when it is opened. Try an open position that keeps the lid further over the box.');
+        }
+        if (strengthChecks) {
+            for (const check of strengthChecks.filter(check => check.safetyFactor < minSafetyFactor)) {
+                problem('weak-part', `The ${check.part} would break in ${check.mode} at ${check.safetyFactor.toFixed(1)}× the load the lid puts on it (below ${minSafetyFactor}×). Try a thicker pin or a wider or thicker link.`);
+            }
+        }
+        
+        if (hardware) {
+            // The upper lid pivot takes a short pin and the lower one a tall pin, and neither may overhang
+            // the lid. The cut against the box doesn't count, as the box panel carries on past it.
+            const [bottom, top] = [this.redClosedPoint, this.blueClosedPoint].sort((a, b) => a.y - b.y);
+            const lidEdges = this.getClosedLidEdges().filter(edge => !edge.isCut);
+            const edgeDistance = (point) => Math.min(...lidEdges.map(edge =>
+                this.getDistanceFromPointToLineSegment(point, edge.start, edge.end)));
+            if (edgeDistance(top) < hardware.shortPinDiameter / 2 || edgeDistance(bottom) < hardware.tallPinBaseDiameter / 2) {
+                problem('pivot-near-edge', 'Lid pivot points are close to the edge of the lid, and the pivot will overhang.');
+            }
+            
+            // Pivots need room for a rim and a tall pin base side by side, with 1mm to spare
+            const minPivotDistance = hardware.rimDiameter / 2 + hardware.tallPinBaseDiameter / 2 + 1 / hardware.mmPerUnit;
+            if (this.distance(this.redBoxPoint, this.blueBoxPoint) < minPivotDistance ||
+                this.distance(this.redClosedPoint, this.blueClosedPoint) < minPivotDistance) {
+                problem('pivots-too-close', 'Pivot positions are too close together to allow this 3D printed mechanism to work.');
+            }
+        }
+        
+        return problems;
+    }
+    
+    // How far a transmission angle is from the links lining up (0 to π/2, higher is better).
+    // 30° and 150° are equally poor, so this is what gets compared against limits.
+    getTransmissionQuality(transmissionAngle) {
+        return Math.min(transmissionAngle, Math.PI - transmissionAngle);
+    }
+    
+    // Get relative position of box pivots along their constraint lines
     getBoxPivotPositions() {
-        if (!this.redBoxPoint || !this.blueBoxPoint || !this.centerOfRotation) {
+        if (!this.redBoxPoint || !this.blueBoxPoint || !this.redConstraintLine || !this.blueConstraintLine) {
             return null;
         }
         
         // Calculate relative positions as ratios along the perpendicular lines
-        const redDx = this.redBoxPoint.x - this.centerOfRotation.x;
-        const redDy = this.redBoxPoint.y - this.centerOfRotation.y;
+        const redCenter = this.redConstraintLine.center;
+        const redDx = this.redBoxPoint.x - redCenter.x;
+        const redDy = this.redBoxPoint.y - redCenter.y;
         const redRatio = Math.sqrt(redDx * redDx + redDy * redDy) / this.height;
         
-        const blueDx = this.blueBoxPoint.x - this.centerOfRotation.x;
-        const blueDy = this.blueBoxPoint.y - this.centerOfRotation.y;
+        const blueCenter = this.blueConstraintLine.center;
+        const blueDx = this.blueBoxPoint.x - blueCenter.x;
+        const blueDy = this.blueBoxPoint.y - blueCenter.y;
         const blueRatio = Math.sqrt(blueDx * blueDx + blueDy * blueDy) / this.height;
         
         // Calculate side using cross product of (closed->open) and (closed->boxpoint)
@@ -999,28 +2981,32 @@ class BoxGeometry {
             return;
         }
         
-        const center = this.centerOfRotation;
-        
         // Red box point
+        const redCenter = this.redConstraintLine.center;
         const redDist = this.height * positions.red.ratio;
         const redSide = positions.red.side;
         
         // Update box point to stay on constraint line with correct distance and side
         this.redBoxPoint = {
-            x: center.x - this.redConstraintLine.perpX * redDist * redSide,
-            y: center.y - this.redConstraintLine.perpY * redDist * redSide
+            x: redCenter.x - this.redConstraintLine.perpX * redDist * redSide,
+            y: redCenter.y - this.redConstraintLine.perpY * redDist * redSide
         };
         
         // Blue box point
+        const blueCenter = this.blueConstraintLine.center;
         const blueDist = this.height * positions.blue.ratio;
         const blueSide = positions.blue.side;
         
         // Update box point to stay on constraint line with correct distance and side
         this.blueBoxPoint = {
-            x: center.x - this.blueConstraintLine.perpX * blueDist * blueSide,
-            y: center.y - this.blueConstraintLine.perpY * blueDist * blueSide
+            x: blueCenter.x - this.blueConstraintLine.perpX * blueDist * blueSide,
+            y: blueCenter.y - this.blueConstraintLine.perpY * blueDist * blueSide
         };
         
+        // Keep them out of the hollow inside of the box
+        this.redBoxPoint = this.getSupportedBoxPoint(this.redBoxPoint, this.redConstraintLine);
+        this.blueBoxPoint = this.getSupportedBoxPoint(this.blueBoxPoint, this.blueConstraintLine);
+        
         // Re-initialize four-bar linkage with new positions
         this.initializeFourBar();
     }
@@ -1028,9 +3014,10 @@ class BoxGeometry {
     // Try to preserve a lid pivot point by maintaining its relative position in the lid
     tryPreserveLidPivot(color, prevPoint) {
         const lidVertices = this.getClosedLidVertices();
+        const material = this.getClosedLidShellVertices();
         
-        // If point is still in lid polygon, keep it exactly where it is
-        if (this.isPointInPolygon(prevPoint, lidVertices)) {
+        // If point is still in lid polygon (on its walls, if hollow), keep it exactly where it is
+        if (this.isPointInPolygon(prevPoint, material)) {
             if (color === 'red') {
                 this.redClosedPoint = prevPoint;
                 this.updateRedOpenPoint();
@@ -1054,8 +3041,8 @@ class BoxGeometry {
         };
         
         // If new point is not in lid, find nearest point on lid boundary
-        if (!this.isPointInPolygon(newPoint, lidVertices)) {
-            const nearestPoint = this.findNearestPointInPolygon(newPoint, lidVertices);
+        if (!this.isPointInPolygon(newPoint, material)) {
+            const nearestPoint = this.findNearestPointInPolygon(newPoint, material);
             if (color === 'red') {
                 this.redClosedPoint = nearestPoint;
                 this.updateRedOpenPoint();
@@ -1116,6 +3103,29 @@ class BoxGeometry {
         return nearestPoint;
     }
     
+    // Get all four pivot positions
+    getPivotPoints() {
+        return {
+            redClosed: {...this.redClosedPoint},
+            blueClosed: {...this.blueClosedPoint},
+            redBox: {...this.redBoxPoint},
+            blueBox: {...this.blueBoxPoint}
+        };
+    }
+    
+    // Set all four pivot positions at once. The box pivots must already lie on
+    // the constraint lines of the given lid pivots.
+    setPivotPoints(points) {
+        this.redClosedPoint = {...points.redClosed};
+        this.blueClosedPoint = {...points.blueClosed};
+        this.updateRedOpenPoint();
+        this.updateBlueOpenPoint();
+        this.updateConstraintLines();
+        this.redBoxPoint = {...points.redBox};
+        this.blueBoxPoint = {...points.blueBox};
+        this.initializeFourBar();
+    }
+    
     // Get lid pivot positions
     getLidPivotPositions() {
         if (!this.redClosedPoint || !this.blueClosedPoint) return null;
@@ -1136,18 +3146,46 @@ class BoxGeometry {
         }
     }
     
+    // Re-fit another design's pivots onto this box, for building the same hinge in a different size.
+    // Lid pivots keep their relative place in the lid's bounding box (pulled inside the lid if needed),
+    // and box pivots keep their distance from the centre of rotation relative to the box height.
+    fitPivotsFrom(source) {
+        const sourceBounds = source.getBoundingBox(source.getClosedLidVertices());
+        const bounds = this.getBoundingBox(this.getClosedLidVertices());
+        const lidVertices = this.getClosedLidShellVertices();
+        
+        const fitLidPoint = (point) => {
+            const fitted = {
+                x: bounds.minX + (point.x - sourceBounds.minX) / (sourceBounds.maxX - sourceBounds.minX) * (bounds.maxX - bounds.minX),
+                y: bounds.minY + (point.y - sourceBounds.minY) / (sourceBounds.maxY - sourceBounds.minY) * (bounds.maxY - bounds.minY)
+            };
+            return this.isPointInPolygon(fitted, lidVertices) ? fitted : this.findNearestPointInPolygon(fitted, lidVertices);
+        };
+        
+        this.redClosedPoint = fitLidPoint(source.redClosedPoint);
+        this.blueClosedPoint = fitLidPoint(source.blueClosedPoint);
+        this.updateRedOpenPoint();
+        this.updateBlueOpenPoint();
+        this.updateConstraintLines();
+        
+        this.useAlternateAssembly = source.useAlternateAssembly;
+        this.setBoxPivotPositions(source.getBoxPivotPositions());
+    }
+    
     // Get the bounding box for the template, with margin
     // Note: We intentionally only include box pivot points and closed pivot points,
     // NOT the open pivot points, box vertices, or lid vertices. This is because
     // the template only needs to show where to drill holes for the pivot points
     // in their closed position.
     getTemplateBounds() {
-        // Get just the four pivot points
+        // Get just the four pivot points, and a balancer's points
         const points = [
             this.redBoxPoint,
             this.blueBoxPoint,
             this.redClosedPoint,
-            this.blueClosedPoint
+            this.blueClosedPoint,
+            this.balancer && this.balancer.anchor,
+            this.balancer && this.balancer.attachment
         ];
         
         // Find min/max coordinates
@@ -1181,38 +3219,236 @@ class BoxGeometry {
     findCurrentCollision() {
         if (!this.movingLidVertices) return false;
         
-        const boxVertices = this.getBoxVertices();
-        const lidVertices = this.movingLidVertices;
+        const overlap = this.getPolygonOverlap(this.movingLidVertices, this.getBoxShellVertices());
+        
+        // Shallow overlaps near the rest poses are the lid resting against the box
+        const progress = this.fourBarConfig ? this.getOpeningProgress(this.fourBarConfig.inputAngle) : 0;
+        this.hasCollided = this.isLidCollision(overlap.depth, progress);
+        this.currentCollision = this.hasCollided ? overlap : null;
+        
+        return this.hasCollided;
+    }
 
-        // Clear only checked pixels for visualization
-        this.checkedPixels.clear();
-        this.hasCollided = false;  // Reset current frame collision state
+    // Clear collision state
+    clearCollisionState() {
+        this.hasCollided = false;
+        this.currentCollision = null;
+    }
 
-        // Check grid of points over the entire box area
-        for (let x = 0; x <= this.width; x += this.detectionGridSize) {
-            for (let y = 0; y <= this.height; y += this.detectionGridSize) {
-                const point = {x, y};
-                this.checkedPixels.add(`${x},${y}`);  // Add to checked pixels
+    // Get the overlap between two polygons: the overlap pieces, their total area,
+    // and the penetration depth (how far the deepest point of either outline reaches into the other)
+    getPolygonOverlap(polygonA, polygonB) {
+        const polygons = this.intersectPolygons(polygonA, polygonB);
+        
+        let area = 0;
+        let depth = 0;
+        for (const polygon of polygons) {
+            area += this.getPolygonArea(polygon);
+            
+            // Vertices on one outline measure how far that outline reaches into the other.
+            // Vertices on neither outline come from splitting into triangles and are skipped.
+            for (const vertex of polygon) {
+                const distanceToA = this.getDistanceFromPointToPolygonEdge(vertex, polygonA);
+                const distanceToB = this.getDistanceFromPointToPolygonEdge(vertex, polygonB);
+                if (Math.min(distanceToA, distanceToB) < 1e-9) {
+                    depth = Math.max(depth, distanceToA, distanceToB);
+                }
+            }
+        }
+        
+        return { polygons, area, depth };
+    }
+
+    // Exact intersection of two simple polygons (convex or concave).
+    // Both polygons are split into triangles and each pair of triangles is clipped,
+    // so the result is a list of counter-clockwise convex pieces that tile the overlap.
+    intersectPolygons(polygonA, polygonB) {
+        const trianglesA = this.triangulatePolygon(polygonA);
+        const trianglesB = this.triangulatePolygon(polygonB);
+        const pieces = [];
+        
+        for (const triangleA of trianglesA) {
+            const boundsA = this.getBoundingBox(triangleA);
+            for (const triangleB of trianglesB) {
+                // Skip pairs whose bounding boxes don't touch
+                const boundsB = this.getBoundingBox(triangleB);
+                if (boundsA.maxX < boundsB.minX || boundsB.maxX < boundsA.minX ||
+                    boundsA.maxY < boundsB.minY || boundsB.maxY < boundsA.minY) {
+                    continue;
+                }
                 
-                // Check if point is inside both polygons
-                const inBox = this.isPointInPolygon(point, boxVertices);
-                const inLid = this.isPointInPolygon(point, lidVertices);
+                const piece = this.clipPolygonToConvex(triangleA, triangleB);
+                if (piece.length >= 3 && this.getPolygonArea(piece) > 1e-12) {
+                    pieces.push(piece);
+                }
+            }
+        }
+        
+        return pieces;
+    }
+
+    // Clip a polygon against a convex counter-clockwise polygon (Sutherland-Hodgman)
+    clipPolygonToConvex(subject, clip) {
+        let output = subject;
+        
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            const edgeStart = clip[i];
+            const edgeEnd = clip[(i + 1) % clip.length];
+            const input = output;
+            output = [];
+            
+            // Positive when the point is on the inside (left) of the clip edge
+            const side = (p) => (edgeEnd.x - edgeStart.x) * (p.y - edgeStart.y) - (edgeEnd.y - edgeStart.y) * (p.x - edgeStart.x);
+            
+            for (let j = 0; j < input.length; j++) {
+                const current = input[j];
+                const previous = input[(j + input.length - 1) % input.length];
+                const currentSide = side(current);
+                const previousSide = side(previous);
                 
-                if (inBox && inLid) {
-                    // Add to total collision points and mark collision
-                    this.totalCollisionPoints.add(`${x},${y}`);
-                    this.hasCollided = true;
+                if (currentSide >= 0) {
+                    if (previousSide < 0) {
+                        output.push(this.interpolateAtSide(previous, current, previousSide, currentSide));
+                    }
+                    output.push(current);
+                } else if (previousSide >= 0) {
+                    output.push(this.interpolateAtSide(previous, current, previousSide, currentSide));
                 }
             }
         }
         
-        return this.hasCollided;
+        return output;
     }
 
-    // Clear collision state
-    clearCollisionState() {
-        this.hasCollided = false;
-        this.totalCollisionPoints.clear();
+    // Point where a segment crosses a clip edge, given the signed side of each end
+    interpolateAtSide(start, end, startSide, endSide) {
+        const t = startSide / (startSide - endSide);
+        return {
+            x: start.x + t * (end.x - start.x),
+            y: start.y + t * (end.y - start.y)
+        };
+    }
+
+    // Split a simple polygon into counter-clockwise triangles (ear clipping)
+    triangulatePolygon(vertices) {
+        // Work on a counter-clockwise copy
+        let remaining = this.getPolygonSignedArea(vertices) < 0 ? [...vertices].reverse() : [...vertices];
+        const triangles = [];
+        
+        const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        
+        while (remaining.length > 3) {
+            let earFound = false;
+            
+            for (let i = 0; i < remaining.length; i++) {
+                const prev = remaining[(i + remaining.length - 1) % remaining.length];
+                const curr = remaining[i];
+                const next = remaining[(i + 1) % remaining.length];
+                
+                // Drop collinear and repeated vertices, they add nothing to the area
+                if (Math.abs(cross(prev, curr, next)) < 1e-12) {
+                    remaining.splice(i, 1);
+                    earFound = true;
+                    break;
+                }
+                
+                // An ear must be convex...
+                if (cross(prev, curr, next) < 0) continue;
+                
+                // ...and contain no other vertex
+                const ear = [prev, curr, next];
+                const containsVertex = remaining.some(p => p !== prev && p !== curr && p !== next &&
+                    cross(prev, curr, p) >= 0 && cross(curr, next, p) >= 0 && cross(next, prev, p) >= 0);
+                if (containsVertex) continue;
+                
+                triangles.push(ear);
+                remaining.splice(i, 1);
+                earFound = true;
+                break;
+            }
+            
+            // Degenerate (self-intersecting) outline - fall back to a fan so we still return something
+            if (!earFound) {
+                for (let i = 1; i < remaining.length - 1; i++) {
+                    triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+                }
+                return triangles;
+            }
+        }
+        
+        if (remaining.length === 3 && Math.abs(cross(remaining[0], remaining[1], remaining[2])) >= 1e-12) {
+            triangles.push(remaining);
+        }
+        
+        return triangles;
+    }
+
+    // Signed area of a polygon (positive when the vertices run counter-clockwise)
+    getPolygonSignedArea(vertices) {
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const p1 = vertices[i];
+            const p2 = vertices[(i + 1) % vertices.length];
+            area += p1.x * p2.y - p2.x * p1.y;
+        }
+        return area / 2;
+    }
+
+    // Area of a polygon
+    getPolygonArea(vertices) {
+        return Math.abs(this.getPolygonSignedArea(vertices));
+    }
+    
+    // Centre of area of a polygon
+    getPolygonCentroid(vertices) {
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const p1 = vertices[i];
+            const p2 = vertices[(i + 1) % vertices.length];
+            const cross = p1.x * p2.y - p2.x * p1.y;
+            cx += (p1.x + p2.x) * cross;
+            cy += (p1.y + p2.y) * cross;
+        }
+        const area = this.getPolygonSignedArea(vertices);
+        return { x: cx / (6 * area), y: cy / (6 * area) };
+    }
+
+    // Polar second moment of area of a polygon about its centroid
+    getPolygonPolarMoment(vertices) {
+        let moment = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const p1 = vertices[i];
+            const p2 = vertices[(i + 1) % vertices.length];
+            const cross = p1.x * p2.y - p2.x * p1.y;
+            moment += cross * (p1.x ** 2 + p1.x * p2.x + p2.x ** 2 + p1.y ** 2 + p1.y * p2.y + p2.y ** 2);
+        }
+        const centroid = this.getPolygonCentroid(vertices);
+        const area = this.getPolygonArea(vertices);
+        // About the origin, then moved to the centroid
+        return Math.abs(moment / 12) - area * (centroid.x ** 2 + centroid.y ** 2);
+    }
+    
+    // Shortest distance between the outlines of two polygons that don't overlap
+    getPolygonDistance(polygonA, polygonB) {
+        let minDistance = Infinity;
+        for (const vertex of polygonA) {
+            minDistance = Math.min(minDistance, this.getDistanceFromPointToPolygonEdge(vertex, polygonB));
+        }
+        for (const vertex of polygonB) {
+            minDistance = Math.min(minDistance, this.getDistanceFromPointToPolygonEdge(vertex, polygonA));
+        }
+        return minDistance;
+    }
+
+    // Distance from a point to the nearest edge of a polygon
+    getDistanceFromPointToPolygonEdge(point, vertices) {
+        let minDistance = Infinity;
+        for (let i = 0; i < vertices.length; i++) {
+            const distance = this.getDistanceFromPointToLineSegment(point, vertices[i], vertices[(i + 1) % vertices.length]);
+            minDistance = Math.min(minDistance, distance);
+        }
+        return minDistance;
     }
 
     // Line intersection helper
@@ -1274,32 +3510,31 @@ class BoxGeometry {
         return Math.abs(d1 + d2 - lineLen) < 1e-10;
     }
 
-    // Helper functions for homogeneous coordinates
+    // Helper functions for homogeneous coordinates (matrices are plain row arrays)
     toHomogeneous(point) {
-        return math.matrix([[point.x], [point.y], [1]]);
+        return [point.x, point.y, 1];
     }
 
     fromHomogeneous(vec) {
-        const arr = vec.toArray();
         return {
-            x: arr[0][0] / arr[2][0],
-            y: arr[1][0] / arr[2][0]
+            x: vec[0] / vec[2],
+            y: vec[1] / vec[2]
         };
     }
 
     makeTransform(rotation,translation) {
         const cos = Math.cos(rotation);
         const sin = Math.sin(rotation);
-        return math.matrix([
+        return [
             [cos, -sin, translation[0]],
             [sin,  cos, translation[1]],
             [0,    0,   1]
-        ]);
+        ];
     }
 
     transformPoint(matrix, point) {
         const homogeneous = this.toHomogeneous(point);
-        const transformed = math.multiply(matrix, homogeneous);
+        const transformed = matrix.map(row => row[0] * homogeneous[0] + row[1] * homogeneous[1] + row[2] * homogeneous[2]);
         return this.fromHomogeneous(transformed);
     }
 
@@ -1354,8 +3589,8 @@ class BoxGeometry {
     
     // Helper to adjust a point to maintain link length and stay within bounds
     adjustPointWithConstraints(closedPoint, boxPoint, targetLength, lidVertices) {
-        const center = this.centerOfRotation;
         const constraintLine = boxPoint === this.redBoxPoint ? this.redConstraintLine : this.blueConstraintLine;
+        const center = constraintLine.center;
         
         // First try to maintain current box point position
         const angle = Math.atan2(closedPoint.y - boxPoint.y, closedPoint.x - boxPoint.x);
@@ -1371,7 +3606,7 @@ class BoxGeometry {
         // If that fails, try different positions along the constraint line
         const currentDist = this.distance(boxPoint, center);
         
-        // Try different distances from COR along constraint line
+        // Try different distances from the line's centre
         const stepSize = this.height / 50; // Small steps relative to box height
         const maxSteps = 20; // Don't try too far
         
@@ -1387,7 +3622,7 @@ class BoxGeometry {
                 const sides = [1, -1];
                 
                 for (const side of sides) {
-                    // Ensure box point stays on perpendicular line through COR
+                    // Ensure box point stays on its constraint line
                     const newBoxPoint = {
                         x: center.x - constraintLine.perpX * dist * side,
                         y: center.y - constraintLine.perpY * dist * side
@@ -1412,11 +3647,11 @@ class BoxGeometry {
     
     // Get the signed distance of a box point along its constraint line
     getBoxPointDistance(type) {
-        const center = this.centerOfRotation;
         const line = type === 'red' ? this.redConstraintLine : this.blueConstraintLine;
         const point = type === 'red' ? this.redBoxPoint : this.blueBoxPoint;
         
-        if (!center || !line || !point) return 0;
+        if (!line || !point) return 0;
+        const center = line.center;
         
         // Vector from center to point
         const dx = point.x - center.x;
@@ -1428,10 +3663,10 @@ class BoxGeometry {
     
     // Set a box point position given a signed distance along its constraint line
     setBoxPointFromDistance(type, distance) {
-        const center = this.centerOfRotation;
         const line = type === 'red' ? this.redConstraintLine : this.blueConstraintLine;
         
-        if (!center || !line) return;
+        if (!line) return;
+        const center = line.center;
         
         // Set point position using perpendicular vector
         const point = {
@@ -1448,3 +3683,5 @@ class BoxGeometry {
         }
     }
 }
+
+if (typeof module !== 'undefined') module.exports = { BoxGeometry };
@@ -0,0 +1,297 @@
+// Automatic pivot optimizer: searches for a collision-free, compact hinge
+class HingeOptimizer {
+    constructor(geometry, options = {}) {
+        // The design to optimize. It is only read from; candidates are tried on a scratch copy
+        this.geometry = geometry;
+        const Geometry = typeof BoxGeometry !== 'undefined' ? BoxGeometry : require('./geometry.js').BoxGeometry;
+        this.scratch = new Geometry(
+            geometry.height,
+            geometry.width,
+            geometry.depth,
+            geometry.closedAngle * 180 / Math.PI,
+            geometry.gap
+        );
+        this.scratch.cornerFinishes = geometry.cornerFinishes;
+        this.scratch.wallThickness = geometry.wallThickness;
+        this.scratch.setProfile(geometry.profile);
+        this.scratch.setOpenPose(geometry.openRestAngle, geometry.openOffset);
+
+        // How much each goal counts once a design is valid
+        this.weights = {
+            clearance: 1,
+            linkLength: 1,
+            transmission: 1,
+            ...options.weights
+        };
+
+        // Pivots that must stay where they are
+        this.locks = {
+            redClosed: false,
+            blueClosed: false,
+            redBox: false,
+            blueBox: false,
+            ...options.locks
+        };
+
+        // Search settings
+        this.iterations = options.iterations || 600;
+        this.steps = options.steps || 60;           // Motion samples per candidate
+        this.randomFraction = 0.3;                   // Share of iterations spent on random search before refining
+        this.chunkDuration = 15;                     // ms of work between updates, so the page stays responsive
+        // The same seed searches the same candidates, so a run can be repeated
+        this.seed = options.seed ?? Math.floor(Math.random() * 2 ** 32);
+        this.random = geometry.createRandom(this.seed);
+
+        // Callbacks
+        this.onImprove = options.onImprove || null;  // Called with the best candidate whenever it improves
+        this.onProgress = options.onProgress || null;
+        this.onFinish = options.onFinish || null;
+
+        // Search state
+        this.isRunning = false;
+        this.iteration = 0;
+        this.best = null;
+        this.size = Math.max(geometry.width, geometry.height);
+        // Lid pivots have to go on the lid's walls if it is hollow
+        this.lidVertices = geometry.getClosedLidShellVertices();
+        this.lidBounds = geometry.getBoundingBox(this.lidVertices);
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.iteration = 0;
+
+        // Start from the current design so the result is never worse than what we had
+        this.best = this.evaluate(this.geometry.getPivotPoints());
+        if (this.onImprove) this.onImprove(this.best);
+
+        setTimeout(() => this.runChunk(), 0);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        if (this.onFinish) this.onFinish(this.best);
+    }
+
+    // Evaluate candidates for a short while, then yield so the canvas can update
+    runChunk() {
+        if (!this.isRunning) return;
+
+        const chunkStart = Date.now();
+        let improved = false;
+
+        while (this.iteration < this.iterations && Date.now() - chunkStart < this.chunkDuration) {
+            const candidate = this.iteration < this.iterations * this.randomFraction
+                ? this.randomCandidate()
+                : this.perturbCandidate(this.best.points, this.getStepScale());
+            this.iteration++;
+
+            if (!candidate || !this.hasSupportedBoxPivots(candidate)) continue;
+
+            const result = this.evaluate(candidate);
+            if (result.score > this.best.score) {
+                this.best = result;
+                improved = true;
+            }
+        }
+
+        if (improved && this.onImprove) this.onImprove(this.best);
+        if (this.onProgress) this.onProgress(this.iteration, this.iterations, this.best);
+
+        if (this.iteration >= this.iterations) {
+            this.stop();
+        } else {
+            setTimeout(() => this.runChunk(), 0);
+        }
+    }
+
+    // Step size for local refinement, shrinking from 20% to 1% of the box size
+    getStepScale() {
+        const randomIterations = this.iterations * this.randomFraction;
+        const progress = (this.iteration - randomIterations) / (this.iterations - randomIterations);
+        return this.size * (0.2 * (1 - progress) + 0.01 * progress);
+    }
+
+    // Box pivots can't go in the hollow inside of a box with walls
+    hasSupportedBoxPivots(points) {
+        return this.geometry.isBoxPivotSupported(points.redBox) && this.geometry.isBoxPivotSupported(points.blueBox);
+    }
+
+    // Score a set of pivot points. Higher is better; invalid designs score below zero.
+    evaluate(points) {
+        this.scratch.setPivotPoints(points);
+        const report = this.scratch.analyzeMotion(this.steps);
+        return {
+            points,
+            report,
+            score: this.scoreReport(report, points)
+        };
+    }
+
+    scoreReport(report, points) {
+        // Hard requirements first, graded so the search can still tell "nearly" from "far off"
+        if (!report.reachable) {
+            return -3000 + 1000 * report.poses.length / (report.steps + 1);
+        }
+        if (!report.reachesOpenPose || report.branchFlips.length > 0) {
+            return -2000;
+        }
+        if (report.hasCollision) {
+            return -1000 + 500 * Math.max(0, 1 - report.maxPenetrationDepth / this.size) +
+                500 * (1 - report.collisions.length / (report.steps + 1));
+        }
+
+        // Valid design: each goal contributes between 0 and its weight
+        const clearanceScore = Math.min(1, report.minClearance / (0.1 * this.size));
+
+        const linkLength = this.scratch.distance(points.redBox, points.redClosed) +
+            this.scratch.distance(points.blueBox, points.blueClosed);
+        const linkLengthScore = Math.max(0, 1 - linkLength / (4 * this.size));
+
+        // Distance from the worst possible transmission angle (links lined up), as a fraction of 90°
+        const transmissionScore = Math.max(0, report.worstTransmissionAngle / (Math.PI / 2));
+
+        return this.weights.clearance * clearanceScore +
+            this.weights.linkLength * linkLengthScore +
+            this.weights.transmission * transmissionScore;
+    }
+
+    // Pick a random design that respects the locked pivots
+    randomCandidate() {
+        const current = this.geometry.getPivotPoints();
+        const red = this.randomPivotPair(current.redClosed, current.redBox, this.locks.redClosed, this.locks.redBox);
+        const blue = this.randomPivotPair(current.blueClosed, current.blueBox, this.locks.blueClosed, this.locks.blueBox);
+        if (!red || !blue) return null;
+
+        return {
+            redClosed: red.closed,
+            redBox: red.box,
+            blueClosed: blue.closed,
+            blueBox: blue.box
+        };
+    }
+
+    randomPivotPair(closed, box, closedLocked, boxLocked) {
+        if (closedLocked && boxLocked) {
+            return { closed, box };
+        }
+
+        if (boxLocked) {
+            // The lid pivot has to keep the locked box pivot on its constraint line,
+            // which means it lies on a line of its own (see getLidLine)
+            const { center, direction } = this.getLidLine(box);
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const t = (this.random() * 2 - 1) * this.size;
+                const candidate = {
+                    x: center.x + direction.x * t,
+                    y: center.y + direction.y * t
+                };
+                if (this.geometry.isPointInPolygon(candidate, this.lidVertices)) {
+                    return { closed: candidate, box };
+                }
+            }
+            return null;
+        }
+
+        const newClosed = closedLocked ? closed : this.randomPointInLid();
+        if (!newClosed) return null;
+
+        const distance = (this.random() * 2 - 1) * this.geometry.height;
+        return { closed: newClosed, box: this.getBoxPointAtDistance(newClosed, distance) };
+    }
+
+    // Nudge every free pivot of a design by up to the given step
+    perturbCandidate(points, step) {
+        const red = this.perturbPivotPair(points.redClosed, points.redBox, this.locks.redClosed, this.locks.redBox, step);
+        const blue = this.perturbPivotPair(points.blueClosed, points.blueBox, this.locks.blueClosed, this.locks.blueBox, step);
+        if (!red || !blue) return null;
+
+        return {
+            redClosed: red.closed,
+            redBox: red.box,
+            blueClosed: blue.closed,
+            blueBox: blue.box
+        };
+    }
+
+    perturbPivotPair(closed, box, closedLocked, boxLocked, step) {
+        if (closedLocked && boxLocked) {
+            return { closed, box };
+        }
+
+        if (boxLocked) {
+            // Slide the lid pivot along the line that keeps the box pivot valid
+            const { direction } = this.getLidLine(box);
+            const delta = (this.random() * 2 - 1) * step;
+            const candidate = {
+                x: closed.x + direction.x * delta,
+                y: closed.y + direction.y * delta
+            };
+            if (!this.geometry.isPointInPolygon(candidate, this.lidVertices)) return null;
+            return { closed: candidate, box };
+        }
+
+        let newClosed = closed;
+        if (!closedLocked) {
+            newClosed = {
+                x: closed.x + (this.random() * 2 - 1) * step,
+                y: closed.y + (this.random() * 2 - 1) * step
+            };
+            if (!this.geometry.isPointInPolygon(newClosed, this.lidVertices)) return null;
+        }
+
+        // Keep the box pivot's signed distance along its (possibly rotated) constraint line
+        const distance = this.getBoxPointDistance(closed, box) + (this.random() * 2 - 1) * step;
+        return { closed: newClosed, box: this.getBoxPointAtDistance(newClosed, distance) };
+    }
+
+    randomPointInLid() {
+        const bounds = this.lidBounds;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const candidate = {
+                x: bounds.minX + this.random() * (bounds.maxX - bounds.minX),
+                y: bounds.minY + this.random() * (bounds.maxY - bounds.minY)
+            };
+            if (this.geometry.isPointInPolygon(candidate, this.lidVertices)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    // Line that the box pivot for a lid pivot must lie on (same as updateConstraintLines)
+    getConstraintLine(closed) {
+        const line = this.geometry.getConstraintLine(closed);
+        return { center: line.center, direction: { x: line.perpX, y: line.perpY } };
+    }
+
+    // Line that lid pivots must lie on for a given box pivot: the points as far from the box pivot
+    // as their open positions are, i.e. the bisector of it and where it comes from
+    getLidLine(box) {
+        const closed = this.geometry.getClosedPosition(box);
+        const dx = box.x - closed.x;
+        const dy = box.y - closed.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        return {
+            center: { x: (box.x + closed.x) / 2, y: (box.y + closed.y) / 2 },
+            direction: { x: -dy / length, y: dx / length }
+        };
+    }
+
+    getBoxPointAtDistance(closed, distance) {
+        const { center, direction } = this.getConstraintLine(closed);
+        return {
+            x: center.x + direction.x * distance,
+            y: center.y + direction.y * distance
+        };
+    }
+
+    getBoxPointDistance(closed, box) {
+        const { center, direction } = this.getConstraintLine(closed);
+        return (box.x - center.x) * direction.x + (box.y - center.y) * direction.y;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { HingeOptimizer };
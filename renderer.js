@@ -45,13 +45,61 @@ class BoxRenderer {
         
         // Set up interaction state
         this.isDragging = false;
+        this.isOptimizing = false;  // Pivots are being driven by the optimizer
         this.selectedPoint = null;
+        this.ghostDragOffset = null;  // Grab offset while moving the intermediate lid
         this.isLocked = false;
         this.exitAngle = null;
         this.lastAngle = null;
         this.lastValidConfig = null;
         this.isTouchDevice = 'ontouchstart' in window;  // Detect touch device
-        this.minDistFromShortLinkToTallPivot = Infinity;
+        
+        // Transmission angles closer than this to the links lining up are flagged (radians)
+        this.transmissionAngleThreshold = 30 * Math.PI / 180;
+        
+        // Physical part sizes (from STLGenerator.getHardware()), set by the page for the rod/wall check
+        this.hardware = null;
+        this.rodWallReport = null;
+        
+        // What the lid and rods are made of, for the gravity and strength checks: density in g/cm³ (or a
+        // lid mass in g that overrides it) and tensile strength in MPa, both for printed PLA
+        this.lidMaterial = { density: 1.24, mass: null, tensileStrength: 40 };
+        this.statics = null;
+        this.forces = null;
+        
+        // Latest simulation of the lid falling when let go, whether it is being played back, and the
+        // hardest it can hit each rest pose
+        this.fall = null;
+        this.slams = null;
+        this.isDropping = false;
+        
+        // Balancer being placed on the canvas: {type, part, anchor} and which point the next click sets
+        this.pendingBalancer = null;
+        this.balancerPlacement = null;  // 'anchor', 'attachment' or null
+        this.balancerColor = '#2a9d8f';
+        
+        // Lid angle, velocity ratio and front corner path over the motion, for the charts under the canvas
+        this.kinematics = null;
+        
+        // Latest tolerance analysis (see BoxGeometry.analyzeTolerance), drawn over the design until it changes
+        this.tolerance = null;
+        
+        // Printed parts with less than this margin over their loads are flagged
+        this.strengthSafetyThreshold = 3;
+        
+        // Points on the closed lid whose paths are traced through the motion, and those paths
+        this.tracePoints = [];
+        this.traces = [];
+        this.traceColors = ['#8e44ad', '#16a085', '#d35400', '#2c3e50', '#c0392b'];
+        
+        // Full-motion validation report, refreshed whenever the design changes
+        this.motionReport = this.geometry.analyzeMotion();
+        this.updateMotionInfo();
+        
+        // While something is dragged only a coarse motion sweep runs on each move; the full report
+        // waits until the drag pauses (see updateMotionReport)
+        this.dragAnalysisSteps = 45;
+        this.reportTimer = null;
         
         // Set up event listeners
         this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
@@ -70,17 +118,7 @@ class BoxRenderer {
         if (generateButton) {
             generateButton.addEventListener('click', () => {
                 // Collection of warnings
-                const warnings = [];
-                
-                // Check if the current configuration is valid
-                if (!this.geometry.isValidRangeReachable()) {
-                    warnings.push("The lid cannot reach the open position with the current configuration. Try adjusting the pivot points.");
-                }
-                
-                // Check if there are any collisions in the current animation
-                if (this.geometry.totalCollisionPoints.size > 0) {
-                    warnings.push("The lid collides with the box during opening/closing. Adjust the pivot points to prevent collision.");
-                }
+                const warnings = this.getWarnings();
                 
                 // If there are warnings, show the modal
                 if (warnings.length > 0) {
@@ -155,7 +193,7 @@ class BoxRenderer {
         this.geometry.initializeFourBar();
         
         // Start animation if configuration is valid
-        if (this.geometry.isValidRangeReachable()) {
+        if (this.motionReport.reachable) {
             this.startAnimation();
         } else {
             this.draw();
@@ -167,19 +205,33 @@ class BoxRenderer {
         this.lastInteractionTime = 0;
     }
     
-    updateParameters(h, w, d, alpha, g) {
+    // A custom profile, when given or already in use, overrides the height, width, depth and angle
+    updateParameters(h, w, d, alpha, g, profile = this.geometry.profile) {
         // Store current pivot positions
         const boxPivotPositions = this.geometry.getBoxPivotPositions();
         const lidPivotPositions = this.geometry.getLidPivotPositions();
+        const intermediatePose = this.geometry.intermediatePose;
+        const useAlternateAssembly = this.geometry.useAlternateAssembly;
+        const cornerFinishes = this.geometry.cornerFinishes;
+        const { openRestAngle, openOffset, wallThickness, balancer } = this.geometry;
         
         // Create new geometry with updated parameters
-        this.geometry = new BoxGeometry(h, w, d, alpha, g);
+        // (setting the profile first, which throws on a bad one and leaves the current design alone)
+        const geometry = new BoxGeometry(h, w, d, alpha, g);
+        geometry.cornerFinishes = cornerFinishes;
+        geometry.wallThickness = wallThickness;
+        geometry.balancer = balancer;
+        if (profile) {
+            geometry.setProfile(profile);
+            ({ height: h, width: w } = geometry);
+        }
+        this.geometry = geometry;
+        this.geometry.useAlternateAssembly = useAlternateAssembly;
+        this.geometry.openRestAngle = openRestAngle;
+        this.geometry.openOffset = openOffset;
         
-        // Initialize center of rotation first since it only depends on the box geometry, not the pivot positions
-        this.geometry.centerOfRotation = {  
-            x: (w - g)/2,
-            y: h
-        };
+        // Initialize center of rotation first since it only depends on the box geometry and open pose, not the pivot positions
+        this.geometry.updateCenterOfRotation();
         
         // Initialize pivot points (which will use the new COR)
         this.geometry.initializePivotPoints();
@@ -201,19 +253,25 @@ class BoxRenderer {
             this.geometry.setBoxPivotPositions(boxPivotPositions);
         }
         
+        // Keep passing through the intermediate pose, re-solving the box pivots for the new box
+        if (intermediatePose) {
+            this.geometry.setIntermediatePose(intermediatePose);
+        }
+        
         // Clear collision state when parameters change
         this.geometry.clearCollisionState();
 
-        // Clear minDistFromShortLinkToTallPivot when parameters change
-        this.minDistFromShortLinkToTallPivot = Infinity;
+        // Validate the whole motion for the new design
+        this.updateMotionReport();
         
-        // Recalculate viewport bounds and scale
+        // Recalculate viewport bounds and scale, leaving room for the open lid wherever it rests
         const margin = Math.max(h, w) * 0.1;
+        const openLidBounds = this.geometry.getBoundingBox(this.geometry.getOpenLidVertices());
         this.viewportBounds = {
-            left: -margin,
-            right: w + margin,
-            bottom: -margin,
-            top: 2.4 * h + margin  // Need space for open lid
+            left: Math.min(0, openLidBounds.minX) - margin,
+            right: Math.max(w, openLidBounds.maxX) + margin,
+            bottom: Math.min(0, openLidBounds.minY) - margin,
+            top: Math.max(2.4 * h, openLidBounds.maxY + 0.4 * h) + margin
         };
         
         // Calculate scale to fit viewport in canvas
@@ -237,7 +295,7 @@ class BoxRenderer {
         this.stopAnimation();
         
         // Check if configuration is valid and start animation if it is
-        if (this.geometry.isValidRangeReachable()) {
+        if (this.motionReport.reachable) {
             this.geometry.fourBarConfig = this.geometry.getFourBarConfig();  // Get fresh config
             this.startAnimation();
         } else {
@@ -245,6 +303,840 @@ class BoxRenderer {
         }
     }
     
+    // Re-run the motion analysis after the design changes
+    updateMotionReport() {
+        clearTimeout(this.reportTimer);
+        this.reportTimer = null;
+        if (!this.isDragging) {
+            this.finishMotionReport();
+            return;
+        }
+        
+        // The full report is too slow to run on every move, so a coarse sweep keeps the canvas up to date
+        // and the rest waits until the drag pauses (or ends, see handleMouseUp)
+        this.motionReport = this.geometry.analyzeMotion(this.dragAnalysisSteps);
+        this.rodWallReport = null;
+        this.traces = [];
+        this.fall = null;
+        this.slams = null;
+        this.tolerance = null;
+        this.reportTimer = setTimeout(() => {
+            this.finishMotionReport();
+            this.draw();
+        }, 250);
+    }
+    
+    // The full motion analysis, everything that builds on it, and the info shown for them
+    finishMotionReport() {
+        clearTimeout(this.reportTimer);
+        this.reportTimer = null;
+        this.motionReport = this.geometry.analyzeMotion();
+        this.updateRodWallReport();
+        this.traces = this.tracePoints.map(point => this.geometry.traceLidPoint(point, this.motionReport));
+        this.statics = this.geometry.analyzeStatics(this.motionReport);
+        this.forces = this.geometry.analyzeForces(this.motionReport, this.statics);
+        this.kinematics = this.geometry.getKinematics(this.motionReport);
+        this.fall = null;
+        this.slams = null;
+        this.tolerance = null;
+        this.updateMotionInfo();
+        this.updateStaticsInfo();
+        this.updateStrengthInfo();
+        this.updateFallInfo();
+        this.updateBalancerInfo();
+        this.updateTraceInfo();
+        this.updateToleranceInfo();
+    }
+    
+    // Check the rods against the walls over the motion. With tall walls this takes far longer than the
+    // other checks.
+    updateRodWallReport() {
+        this.rodWallReport = this.hardware
+            ? this.geometry.analyzeRodWallCollisions(this.geometry.getLinkageParts(this.hardware), this.motionReport)
+            : null;
+        this.updateRodWallInfo();
+    }
+    
+    // Say whether the rods clear the walls, or that they weren't checked
+    updateRodWallInfo() {
+        const info = document.getElementById('rodWallInfo');
+        if (!info) return;
+        
+        const report = this.rodWallReport;
+        if (!report) {
+            info.textContent = '';
+        } else if (!report.checked) {
+            info.textContent = 'The rods are not checked against the walls, as the wall height is 0.';
+        } else if (report.hasCollision) {
+            const pairs = new Set(report.collisions.map(collision => `the ${collision.rod} hits the ${collision.wall}`));
+            info.textContent = `In the motion ${[...pairs].join(' and ')}.`;
+        } else {
+            info.textContent = 'The rods clear the walls all the way.';
+        }
+        info.style.color = report && (!report.checked || report.hasCollision) ? '#e67e00' : '';
+    }
+    
+    // Use new physical part sizes, e.g. after the STL settings or units change
+    setHardware(hardware) {
+        this.hardware = hardware;
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Show the linkage type and transmission angle range next to the controls
+    updateMotionInfo() {
+        const report = this.motionReport;
+        
+        const linkageInfo = document.getElementById('linkageInfo');
+        if (linkageInfo) {
+            const type = report.linkage.type.charAt(0).toUpperCase() + report.linkage.type.slice(1);
+            linkageInfo.textContent = `${type} linkage (${report.linkage.isGrashof ? 'Grashof' : 'non-Grashof'})`;
+            linkageInfo.style.color = report.nearToggles.length > 0 ? '#e67e00' : '';
+        }
+        
+        const info = document.getElementById('transmissionAngleInfo');
+        if (!info) return;
+        
+        if (report.poses.length === 0) {
+            info.textContent = 'Transmission angle: -';
+            return;
+        }
+        
+        const toDegrees = (angle) => (angle * 180 / Math.PI).toFixed(0);
+        info.textContent = `Transmission angle: ${toDegrees(report.minTransmissionAngle)}° to ${toDegrees(report.maxTransmissionAngle)}°`;
+        info.style.color = report.worstTransmissionAngle < this.transmissionAngleThreshold ? '#e67e00' : '';
+    }
+    
+    setLidMaterial(material) {
+        this.lidMaterial = { ...this.lidMaterial, ...material };
+        this.updateStaticsInfo();
+        this.updateStrengthInfo();
+        this.updateBalancerInfo();
+    }
+    
+    // Lid mass in grams: the one given, or the printed lid's volume times the density
+    getLidMass() {
+        if (this.lidMaterial.mass > 0) return this.lidMaterial.mass;
+        return this.hardware ? this.geometry.getLidMass(this.hardware, this.lidMaterial.density) : null;
+    }
+    
+    // Show which way gravity moves the lid, the torque the linkage holds against it, and whether the
+    // open lid tips the box over
+    updateStaticsInfo() {
+        const info = document.getElementById('staticsInfo');
+        if (!info || !this.statics) return;
+        
+        const statics = this.statics;
+        const range = this.motionReport.range;
+        const percent = (progress) => Math.round(progress * 100);
+        // A small printed lid weighs a gram or two, so keep two significant figures below 10
+        const format = (value) => Math.abs(value) < 10 ? String(+value.toPrecision(2)) : value.toFixed(0);
+        const lines = [];
+        
+        const mass = this.getLidMass();
+        lines.push(`Lid mass: ${mass ? `${format(mass)} g${this.lidMaterial.mass > 0 ? '' : ' (from density)'}` : '-'}`);
+        
+        if (statics.poses.length > 0) {
+            const lastBalance = statics.balancePoints[statics.balancePoints.length - 1];
+            lines.push({
+                'falls-closed': 'Let go anywhere, the lid falls closed',
+                'falls-open': 'The lid falls open: it won\'t stay shut by itself',
+                'over-centre': `The lid falls closed below ${percent(lastBalance)}% open, and past that goes over centre and stays open`
+            }[statics.behaviour]);
+            
+            // Torque in N·mm: grams to newtons, design units to mm
+            if (mass) {
+                const torque = (momentArm) => mass / 1000 * 9.81 * momentArm * this.hardware.mmPerUnit;
+                const maxAt = percent(this.geometry.getOpeningProgress(statics.maxMomentArmAt, range));
+                lines.push(`Holding torque up to ${format(Math.abs(torque(statics.maxMomentArm)))} N·mm (${maxAt}% open)`);
+                
+                // Every 10% of the way open, + where gravity opens the lid and - where it closes it
+                const samples = [];
+                for (let step = 0; step <= 10; step++) {
+                    const pose = statics.poses.reduce((best, pose) =>
+                        Math.abs(pose.progress - step / 10) < Math.abs(best.progress - step / 10) ? pose : best);
+                    const value = format(torque(pose.momentArm));
+                    samples.push(`${step * 10}%: ${value > 0 ? '+' : ''}${value}`);
+                }
+                lines.push(`Gravity torque by % open (N·mm, + opens): ${samples.join(', ')}`);
+            }
+        }
+        
+        const { openCenterOfMass, baseRange } = statics;
+        lines.push(statics.tipsOver
+            ? 'The open lid\'s centre of mass is past the edge of the box, so the box tips over'
+            : `The open lid's centre of mass stays over the box, ${Math.min(openCenterOfMass.x - baseRange.minX, baseRange.maxX - openCenterOfMass.x).toFixed(1)} from its edge`);
+        
+        info.textContent = lines.join('\n');
+        info.style.whiteSpace = 'pre-line';
+        info.style.color = statics.tipsOver ? '#e67e00' : '';
+    }
+    
+    // How far each printed part is from breaking under the lid's weight, or null without a lid mass
+    getStrengthChecks() {
+        const mass = this.getLidMass();
+        if (!mass || !this.forces || this.forces.poses.length === 0) return null;
+        return this.geometry.getStrengthChecks(this.forces, this.hardware, mass / 1000 * 9.81, this.lidMaterial.tensileStrength);
+    }
+    
+    // Show the largest rod and pin loads while the lid is held still anywhere in its motion, and how far
+    // each printed part is from breaking under them
+    updateStrengthInfo() {
+        const info = document.getElementById('strengthInfo');
+        if (!info || !this.forces) return;
+        
+        const mass = this.getLidMass();
+        if (!mass || this.forces.poses.length === 0) {
+            info.textContent = '';
+            return;
+        }
+        
+        const weight = mass / 1000 * 9.81;  // N
+        const max = this.forces.max;
+        const checks = this.getStrengthChecks();
+        const weak = checks.filter(check => check.safetyFactor < this.strengthSafetyThreshold);
+        const newtons = (value) => Number.isFinite(value) ? (weight * value).toFixed(2) : '∞';
+        const lines = [
+            `Rod forces: red ${newtons(Math.abs(max.redAxial))} N, blue ${newtons(Math.abs(max.blueAxial))} N`,
+            `Pin loads: box ${newtons(max.pins.redBox)} / ${newtons(max.pins.blueBox)} N, lid ${newtons(max.pins.redLid)} / ${newtons(max.pins.blueLid)} N (red / blue)`,
+            ...checks.map(check => `${check.part}: ${Number.isFinite(check.safetyFactor) ? check.safetyFactor.toFixed(1) : '∞'}× in ${check.mode}`)
+        ];
+        if (weak.length > 0) {
+            lines.push(`Under ${this.strengthSafetyThreshold}× the load it takes to break: ${weak.map(check => check.part).join(', ')}. Try a thicker pin or a wider or thicker link.`);
+        }
+        
+        info.textContent = lines.join('\n');
+        info.style.whiteSpace = 'pre-line';
+        info.style.color = weak.length > 0 ? '#e67e00' : '';
+    }
+    
+    // Simulate letting go of the lid at some way open (0 to 1) and play the fall back in real time, then
+    // go back to the opening animation. Damping is in N·mm·s per radian on the red box pin.
+    dropLid(releaseProgress, damping = 0) {
+        const mass = this.getLidMass();
+        this.fall = mass && this.motionReport.reachable
+            ? this.geometry.simulateFall(this.motionReport, this.hardware, { mass, releaseProgress, damping })
+            : null;
+        this.slams = this.fall ? this.geometry.simulateSlams(this.motionReport, this.hardware, { mass, damping }) : null;
+        this.updateFallInfo();
+        if (!this.fall) return;
+        
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        this.geometry.initializeFourBar();
+        this.geometry.fourBarConfig = this.geometry.getFourBarConfig();
+        this.geometry.isAnimating = true;
+        this.isDropping = true;
+        
+        const fall = this.fall;
+        let start = null;
+        const play = (timestamp) => {
+            if (this.isDragging || this.isOptimizing) {
+                this.stopAnimation();
+                return;
+            }
+            if (start === null) {
+                start = timestamp;
+            }
+            const elapsed = (timestamp - start) / 1000;
+            const frame = Math.min(fall.angles.length - 1, Math.floor(elapsed / fall.timeStep));
+            this.geometry.updateFourBarPosition(fall.angles[frame]);
+            this.draw();
+            
+            // Hold the end pose for a second
+            if (elapsed > fall.time + 1) {
+                this.isDropping = false;
+                this.animationId = null;
+                this.draw();
+                return;
+            }
+            this.animationId = requestAnimationFrame(play);
+        };
+        this.animationId = requestAnimationFrame(play);
+    }
+    
+    // Say where the dropped lid ends up and how hard it hits
+    updateFallInfo() {
+        const info = document.getElementById('fallInfo');
+        if (!info) return;
+        
+        const fall = this.fall;
+        if (!fall) {
+            info.textContent = '';
+            return;
+        }
+        
+        const lines = [];
+        if (fall.endsAt && fall.time < fall.timeStep) {
+            lines.push(`Let go there, the lid stays ${fall.endsAt}`);
+        } else if (fall.endsAt) {
+            lines.push(`The lid ${fall.endsAt === 'closed' ? 'slams shut' : 'falls open'} after ${fall.time.toFixed(2)} s`);
+            lines.push(`At impact: ${fall.tipSpeed.toFixed(2)} m/s at its far edge, turning at ${(fall.angularSpeed * 180 / Math.PI).toFixed(0)}°/s, ${(fall.energy * 1000).toFixed(1)} mJ`);
+        } else {
+            lines.push(`The lid hasn't reached either rest pose after ${fall.time.toFixed(0)} s (${Math.round(fall.progress * 100)}% open)`);
+        }
+        
+        for (const [pose, slam] of Object.entries(this.slams || {})) {
+            const hardest = pose === 'closed' ? 'Hardest slam shut' : 'Hardest fall open';
+            lines.push(slam
+                ? `${hardest}, let go ${Math.round(slam.releaseProgress * 100)}% open: ${slam.tipSpeed.toFixed(2)} m/s at its far edge, ${(slam.energy * 1000).toFixed(1)} mJ`
+                : `The lid never ${pose === 'closed' ? 'falls shut' : 'falls open'} by itself`);
+        }
+        
+        info.textContent = lines.join('\n');
+        info.style.whiteSpace = 'pre-line';
+    }
+    
+    // Start placing a spring, gas strut or counterweight: the next clicks on the canvas set its anchor on
+    // the box (not for a counterweight) and then its attachment point on the closed lid or a rod
+    startBalancerPlacement(type, part) {
+        this.pendingBalancer = { type, part, anchor: null };
+        this.balancerPlacement = type === 'counterweight' ? 'attachment' : 'anchor';
+        this.updateBalancerInfo();
+    }
+    
+    // Use a click for the balancer being placed; clicks in the wrong place are ignored
+    placeBalancerPoint(point) {
+        const pending = this.pendingBalancer;
+        if (this.balancerPlacement === 'anchor') {
+            if (!this.geometry.isPointOnMaterial(point, this.geometry.getBoxVertices())) return;
+            pending.anchor = { x: point.x, y: point.y };
+            this.balancerPlacement = 'attachment';
+            this.updateBalancerInfo();
+            this.draw();
+            return;
+        }
+        
+        if (pending.part === 'lid' && !this.geometry.isPointOnMaterial(point, this.geometry.getClosedLidVertices())) return;
+        this.balancerPlacement = null;
+        this.pendingBalancer = null;
+        this.setBalancer({ ...pending, attachment: { x: point.x, y: point.y } });
+        window.updateUrl();
+    }
+    
+    setBalancer(balancer) {
+        this.geometry.setBalancer(balancer);
+        this.updateBalancerInfo();
+        this.draw();
+    }
+    
+    // Which balancer marker, if any, is under a point
+    hitTestBalancer(point, hitArea) {
+        const balancer = this.geometry.balancer;
+        if (!balancer) return null;
+        if (balancer.anchor && this.geometry.distance(point, balancer.anchor) < hitArea) {
+            return 'balancer-anchor';
+        }
+        if (this.geometry.distance(point, balancer.attachment) < hitArea) {
+            return 'balancer-attachment';
+        }
+        return null;
+    }
+    
+    // Drag a balancer end, keeping the anchor on the box and a lid attachment on the lid
+    dragBalancer(point) {
+        const balancer = this.geometry.balancer;
+        if (this.selectedPoint === 'balancer-anchor') {
+            if (!this.geometry.isPointOnMaterial(point, this.geometry.getBoxVertices())) return;
+            this.geometry.setBalancer({ ...balancer, anchor: point });
+        } else {
+            if (balancer.part === 'lid' && !this.geometry.isPointOnMaterial(point, this.geometry.getClosedLidVertices())) return;
+            this.geometry.setBalancer({ ...balancer, attachment: point });
+        }
+        this.updateBalancerInfo();
+        this.draw();
+    }
+    
+    // Draw the balancer in the closed pose and, while the lid moves, where it has got to
+    drawBalancer() {
+        const ctx = this.ctx;
+        const balancer = this.geometry.balancer || this.pendingBalancer;
+        if (!balancer) return;
+        
+        if (balancer.anchor) {
+            this.drawCircle(balancer.anchor, 5, this.balancerColor);
+        }
+        if (!balancer.attachment) return;
+        this.drawCircle(balancer.attachment, 5, this.balancerColor);
+        
+        const fb = this.geometry.fourBarConfig;
+        const attachment = fb && this.geometry.isAnimating
+            ? this.geometry.getAttachmentPosition(balancer.attachment, balancer.part, fb)
+            : balancer.attachment;
+        
+        ctx.save();
+        ctx.strokeStyle = this.balancerColor;
+        ctx.lineWidth = 3;
+        if (balancer.type === 'counterweight') {
+            this.drawCircle(attachment, 8, this.balancerColor);
+        } else {
+            ctx.setLineDash(balancer.type === 'spring' ? [4, 3] : []);
+            const from = this.transform(balancer.anchor);
+            const to = this.transform(attachment);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    // Size the balancer against the lid's weight and show it, with the torque left over across the motion
+    updateBalancerInfo() {
+        const info = document.getElementById('balancerInfo');
+        if (!info) return;
+        info.style.whiteSpace = 'pre-line';
+        
+        if (this.balancerPlacement) {
+            info.textContent = this.balancerPlacement === 'anchor'
+                ? 'Click the box where it is anchored'
+                : `Click the ${this.pendingBalancer.part === 'lid' ? 'closed lid' : `${this.pendingBalancer.part} rod`} where it attaches`;
+            this.drawBalancerChart(null);
+            return;
+        }
+        
+        const mass = this.getLidMass();
+        const sizing = mass && this.statics
+            ? this.geometry.sizeBalancer(this.motionReport, this.statics, this.hardware, mass / 1000 * 9.81)
+            : null;
+        this.drawBalancerChart(sizing);
+        if (!sizing) {
+            info.textContent = '';
+            return;
+        }
+        
+        const lines = [];
+        if (sizing.type === 'counterweight') {
+            lines.push(sizing.mass > 0
+                ? `Counterweight: ${sizing.mass.toFixed(1)} g`
+                : `A counterweight there doesn't help${this.geometry.balancer.part === 'lid' ? '' : ': try the other side of the rod\'s box pivot'}`);
+        } else {
+            const { preload, stiffness, forces, lengths } = sizing;
+            const pushes = preload >= 0;
+            lines.push(sizing.type === 'spring'
+                ? `Spring: ${+stiffness.toPrecision(2)} N/mm, ${Math.abs(preload).toFixed(2)} N ${pushes ? 'pushing' : 'pulling'} when closed`
+                : `Gas strut: ${Math.abs(preload).toFixed(2)} N ${pushes ? 'pushing' : 'pulling'}`);
+            lines.push(`Length ${lengths.closed.toFixed(1)} mm closed, ${lengths.open.toFixed(1)} mm open (stroke ${(lengths.max - lengths.min).toFixed(1)} mm)`);
+            if (forces.min < 0 && forces.max > 0) {
+                lines.push('The force changes direction, so a spring would go slack partway');
+            }
+        }
+        lines.push(`Torque left over: up to ${sizing.maxResidual.toFixed(1)} N·mm, from ${sizing.maxGravity.toFixed(1)} N·mm without it`);
+        info.textContent = lines.join('\n');
+    }
+    
+    // Plot the lid's gravity torque and what is left of it with the balancer, against % open
+    drawBalancerChart(sizing) {
+        const canvas = document.getElementById('balancerChart');
+        if (!canvas) return;
+        this.drawLineChart(canvas, sizing ? [
+            { color: '#999', points: sizing.poses.map(pose => ({ x: pose.progress * 100, y: pose.gravity })) },
+            { color: this.balancerColor, points: sizing.poses.map(pose => ({ x: pose.progress * 100, y: pose.residual })) }
+        ] : [], { xLabel: '% open', yLabel: 'N·mm' });
+    }
+    
+    // Line chart of series of {x, y} points on a small canvas, with a zero line if the values cross it and
+    // an optional vertical cursor at some x
+    drawLineChart(canvas, series, { xLabel = '', yLabel = '', cursor = null } = {}) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const points = series.flatMap(line => line.points).filter(point => Number.isFinite(point.y));
+        if (points.length === 0) return;
+        
+        const left = 40;
+        const right = 8;
+        const top = 8;
+        const bottom = 18;
+        const minX = Math.min(...points.map(point => point.x));
+        const maxX = Math.max(...points.map(point => point.x));
+        let minY = Math.min(...points.map(point => point.y));
+        let maxY = Math.max(...points.map(point => point.y));
+        if (maxY - minY < 1e-9) {
+            minY -= 1;
+            maxY += 1;
+        }
+        const x = (value) => left + (value - minX) / ((maxX - minX) || 1) * (canvas.width - left - right);
+        const y = (value) => top + (maxY - value) / (maxY - minY) * (canvas.height - top - bottom);
+        
+        ctx.save();
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
+        ctx.fillStyle = '#666';
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        
+        // Axes, and zero if it's in range
+        ctx.beginPath();
+        ctx.moveTo(left, top);
+        ctx.lineTo(left, canvas.height - bottom);
+        ctx.lineTo(canvas.width - right, canvas.height - bottom);
+        if (minY < 0 && maxY > 0) {
+            ctx.moveTo(left, y(0));
+            ctx.lineTo(canvas.width - right, y(0));
+        }
+        ctx.stroke();
+        
+        const format = (value) => String(+value.toPrecision(3));
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(format(maxY), left - 3, top);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(format(minY), left - 3, canvas.height - bottom);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(yLabel, left - 3, (canvas.height - bottom + top) / 2);
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(format(minX), left, canvas.height - bottom + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(format(maxX), canvas.width - right, canvas.height - bottom + 3);
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel, (left + canvas.width - right) / 2, canvas.height - bottom + 3);
+        
+        for (const line of series) {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            line.points.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(x(point.x), y(point.y));
+                } else {
+                    ctx.lineTo(x(point.x), y(point.y));
+                }
+            });
+            ctx.stroke();
+        }
+        
+        if (cursor !== null) {
+            ctx.strokeStyle = '#E63946';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x(cursor), top);
+            ctx.lineTo(x(cursor), canvas.height - bottom);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    // Draw the kinematic charts under the canvas, with a cursor where the animated lid has got to
+    drawKinematicCharts() {
+        const kinematics = this.kinematics;
+        if (!kinematics) return;
+        
+        const degrees = (angle) => angle * 180 / Math.PI;
+        const fb = this.geometry.fourBarConfig;
+        const cursor = fb && this.geometry.isAnimating && kinematics.poses.length > 0
+            ? degrees(Math.abs(fb.inputAngle - this.motionReport.poses[0].angle))
+            : null;
+        const along = (value) => kinematics.poses.map(pose => ({ x: degrees(pose.inputTurn), y: value(pose) }));
+        const charts = [
+            ['lidAngleChart', [{ color: '#457B9D', points: along(pose => degrees(pose.lidTurn)) }], 'lid °'],
+            ['velocityRatioChart', [{ color: '#457B9D', points: along(pose => pose.velocityRatio) }], 'ratio'],
+            ['cornerPathChart', [
+                { color: '#E63946', points: along(pose => pose.corner.x) },
+                { color: '#457B9D', points: along(pose => pose.corner.y) }
+            ], 'x / y']
+        ];
+        
+        for (const [id, series, yLabel] of charts) {
+            const canvas = document.getElementById(id);
+            if (canvas) {
+                this.drawLineChart(canvas, series, { xLabel: 'input rod turned (°)', yLabel, cursor });
+            }
+        }
+    }
+    
+    // Build the hinge many times over with its pivots and rods a little off and show how the builds do
+    runToleranceAnalysis(options) {
+        this.tolerance = this.motionReport.reachable ? this.geometry.analyzeTolerance(options) : null;
+        this.updateToleranceInfo();
+        this.draw();
+    }
+    
+    clearToleranceAnalysis() {
+        this.tolerance = null;
+        this.updateToleranceInfo();
+        this.draw();
+    }
+    
+    // Say how many builds collide or don't open, and how far their open lids spread
+    updateToleranceInfo() {
+        const info = document.getElementById('toleranceInfo');
+        if (!info) return;
+        
+        const tolerance = this.tolerance;
+        if (!tolerance) {
+            info.textContent = '';
+            return;
+        }
+        
+        const units = document.querySelector('input[name="units"]:checked').value;
+        const percent = (rate) => `${(rate * 100).toFixed(rate > 0 && rate < 0.01 ? 1 : 0)}%`;
+        const lines = [
+            `${tolerance.samples} builds, pivots within ±${tolerance.pivotError} ${units} and rods within ±${tolerance.lengthError} ${units}`,
+            `Hit the box on the way: ${percent(tolerance.collisionRate)}`,
+            `Don't reach the open pose: ${percent(tolerance.unreachableRate)}`
+        ];
+        if (tolerance.openShift) {
+            const { openShift, openRotation, openGap } = tolerance;
+            const degrees = (angle) => (angle * 180 / Math.PI).toFixed(1);
+            lines.push(`Open lid off by ${openShift.mean.toFixed(2)} on average (up to ${openShift.max.toFixed(2)}), turned ${degrees(openRotation.min)}° to ${degrees(openRotation.max)}°`);
+            lines.push(`Gap to the box when open: ${openGap.min.toFixed(2)} to ${openGap.max.toFixed(2)}, ${openGap.mean.toFixed(2)} on average (below 0 it lands on the box early)`);
+        }
+        
+        info.textContent = lines.join('\n');
+        info.style.whiteSpace = 'pre-line';
+        info.style.color = tolerance.collisionRate > 0 || tolerance.unreachableRate > 0 ? '#e67e00' : '';
+    }
+    
+    // Every build's open lid, faint so that where many land together shows darker, its front corner as
+    // a dot (red if that build hit the box on the way), and the deepest overlap of each build that did
+    drawTolerance() {
+        const tolerance = this.tolerance;
+        if (!tolerance) return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.08)';
+        for (const build of tolerance.builds) {
+            if (!build.worstCollision) continue;
+            for (const polygon of build.worstCollision.polygons) {
+                ctx.beginPath();
+                polygon.forEach((vertex, i) => {
+                    const point = this.transform(vertex);
+                    if (i === 0) ctx.moveTo(point.x, point.y);
+                    else ctx.lineTo(point.x, point.y);
+                });
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+        
+        ctx.strokeStyle = 'rgba(69, 123, 157, 0.1)';
+        ctx.lineWidth = 1;
+        for (const build of tolerance.builds) {
+            if (!build.open) continue;
+            ctx.beginPath();
+            build.open.vertices.forEach((vertex, i) => {
+                const point = this.transform(vertex);
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+            ctx.closePath();
+            ctx.stroke();
+        }
+        ctx.restore();
+        
+        for (const build of tolerance.builds) {
+            if (build.open) {
+                this.drawCircle(build.open.corner, 1.5, build.hasCollision || !build.reachesOpenPose ? '#E63946' : '#457B9D');
+            }
+        }
+        this.drawCircle(tolerance.openCorner, 4, 'black', false);
+    }
+    
+    // List each traced point's envelope next to the controls
+    updateTraceInfo() {
+        const exportButton = document.getElementById('exportTracesButton');
+        if (exportButton) {
+            exportButton.disabled = this.traces.length === 0;
+        }
+        
+        const info = document.getElementById('traceInfo');
+        if (!info) return;
+        
+        const range = this.motionReport.range;
+        const lines = this.traces.map((trace, index) => {
+            if (trace.path.length === 0) {
+                return `Point ${index + 1}: -`;
+            }
+            const heightAt = Math.round(this.geometry.getOpeningProgress(trace.maxHeightAt, range) * 100);
+            const rearward = trace.maxRearward > 0
+                ? `${trace.maxRearward.toFixed(1)} behind the box`
+                : `stays ${(-trace.maxRearward).toFixed(1)} inside the back`;
+            return `Point ${index + 1}: up to ${trace.maxHeight.toFixed(1)} high (${heightAt}% open), ${rearward}`;
+        });
+        info.textContent = lines.join('\n');
+        info.style.whiteSpace = 'pre-line';
+    }
+    
+    // Trace a point on the closed lid, or stop tracing the one whose marker is under the point.
+    // Returns whether anything changed.
+    toggleTraceAt(point, hitArea) {
+        const index = this.tracePoints.findIndex(tracePoint => this.geometry.distance(tracePoint, point) < hitArea);
+        if (index >= 0) {
+            this.tracePoints.splice(index, 1);
+        } else if (this.geometry.isPointInPolygon(point, this.geometry.getClosedLidVertices())) {
+            this.tracePoints.push({ x: point.x, y: point.y });
+        } else {
+            return false;
+        }
+        
+        this.updateMotionReport();
+        this.draw();
+        window.updateUrl();
+        return true;
+    }
+    
+    setTracePoints(points) {
+        this.tracePoints = points.map(point => ({ x: point.x, y: point.y }));
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Draw each traced point's path, with markers for its highest and rearmost positions
+    drawTraces() {
+        const ctx = this.ctx;
+        
+        this.traces.forEach((trace, index) => {
+            const color = this.traceColors[index % this.traceColors.length];
+            
+            if (trace.path.length > 1) {
+                ctx.save();
+                ctx.beginPath();
+                const first = this.transform(trace.path[0]);
+                ctx.moveTo(first.x, first.y);
+                for (let i = 1; i < trace.path.length; i++) {
+                    const point = this.transform(trace.path[i]);
+                    ctx.lineTo(point.x, point.y);
+                }
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 3]);
+                ctx.stroke();
+                ctx.restore();
+                
+                const highest = trace.path.find(point => point.angle === trace.maxHeightAt);
+                const rearmost = trace.path.find(point => point.angle === trace.maxRearwardAt);
+                this.drawCircle(highest, 3, color);
+                this.drawCircle(rearmost, 3, color);
+            }
+            
+            // Hollow marker on the closed lid, numbered to match the list next to the controls
+            this.drawCircle(trace.point, 5, color, false);
+            this.drawText(`${index + 1}`, { x: trace.point.x, y: trace.point.y }, color);
+        });
+    }
+    
+    // Download the traced paths as SVG polylines, in the selected units (y up in the design is up in the file)
+    exportTraces() {
+        const units = document.querySelector('input[name="units"]:checked').value;
+        const boxVertices = this.geometry.getBoxVertices();
+        const points = [...boxVertices, ...this.traces.flatMap(trace => trace.path)];
+        const bounds = this.geometry.getBoundingBox(points);
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        
+        // Flip y so the file isn't upside down
+        const format = (point) => `${(point.x - bounds.minX).toFixed(3)},${(bounds.maxY - point.y).toFixed(3)}`;
+        
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width.toFixed(3)}${units}" height="${height.toFixed(3)}${units}" viewBox="0 0 ${width.toFixed(3)} ${height.toFixed(3)}">`,
+            `  <polygon id="box" points="${boxVertices.map(format).join(' ')}" fill="none" stroke="black" stroke-width="${(0.002 * width).toFixed(3)}"/>`
+        ];
+        this.traces.forEach((trace, index) => {
+            const color = this.traceColors[index % this.traceColors.length];
+            lines.push(`  <polyline id="trace-${index + 1}" points="${trace.path.map(format).join(' ')}" fill="none" stroke="${color}" stroke-width="${(0.002 * width).toFixed(3)}"/>`);
+        });
+        lines.push('</svg>');
+        
+        const blob = new Blob([lines.join('\n')], { type: 'image/svg+xml' });
+        saveAs(blob, 'lid-traces.svg');
+    }
+    
+    // Download every pose over the motion, in steps across the valid angle range, as CSV or JSON
+    exportMotionTable(format, steps) {
+        const units = document.querySelector('input[name="units"]:checked').value;
+        const table = this.geometry.getMotionTable(steps);
+        const text = this.geometry.formatMotionTable(table, format, units);
+        
+        const blob = new Blob([text], { type: format === 'json' ? 'application/json' : 'text/csv' });
+        saveAs(blob, `hinge-motion.${format}`);
+    }
+    
+    setTransmissionAngleThreshold(degrees) {
+        this.transmissionAngleThreshold = degrees * Math.PI / 180;
+        this.updateMotionInfo();
+        this.draw();
+    }
+    
+    // Whether the lid is currently in the part of the motion where force transfer is poor
+    isCurrentTransmissionPoor() {
+        const fb = this.geometry.fourBarConfig;
+        if (!fb || !fb.inputFollower || !fb.outputFollower) return false;
+        
+        const transmissionAngle = this.geometry.getTransmissionAngle(fb.inputFollower, fb.outputFollower, fb.outputGround);
+        return this.geometry.getTransmissionQuality(transmissionAngle) < this.transmissionAngleThreshold;
+    }
+    
+    // Show a set of pivot points, e.g. the optimizer's current best candidate
+    applyPivotPoints(points) {
+        this.geometry.setPivotPoints(points);
+        this.geometry.clearCollisionState();
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Turn three-position synthesis on with the given intermediate lid pose, or off with null
+    setIntermediatePose(pose) {
+        this.stopAnimation();
+        this.geometry.setIntermediatePose(pose);
+        this.geometry.clearCollisionState();
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Change where the lid rests when open: the turn in radians and the offset after it
+    setOpenPose(angle, offset) {
+        this.geometry.setOpenPose(angle, offset);
+        const { height, width, depth, closedAngle, gap } = this.geometry;
+        this.updateParameters(height, width, depth, closedAngle * 180 / Math.PI, gap);
+    }
+    
+    // Make the box and lid hollow with walls of the given thickness, or solid with null
+    setWallThickness(thickness) {
+        this.stopAnimation();
+        this.geometry.setWallThickness(thickness);
+        this.geometry.clearCollisionState();
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Round or chamfer a corner of the box or lid outline (null makes it sharp again)
+    setCornerFinish(part, index, finish) {
+        this.stopAnimation();
+        this.geometry.setCornerFinish(part, index, finish);
+        this.geometry.clearCollisionState();
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Run the linkage on its mirror-image assembly branch (true) or the closed pose's own branch (false)
+    setAlternateAssembly(useAlternateAssembly) {
+        this.stopAnimation();
+        this.geometry.useAlternateAssembly = useAlternateAssembly;
+        this.geometry.clearCollisionState();
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // Everything wrong with the design, as messages for the warning shown before files are generated.
+    // The rules are shared with the command-line tools, see BoxGeometry.getProblems().
+    getWarnings() {
+        const parts = this.hardware ? this.geometry.getLinkageParts(this.hardware) : null;
+        const problems = this.geometry.getProblems({
+            motion: this.motionReport,
+            hardware: this.hardware,
+            parts,
+            interference: parts && this.geometry.analyzeInterference(parts, this.motionReport),
+            rodWall: this.rodWallReport,
+            statics: this.statics,
+            strengthChecks: this.getStrengthChecks()
+        }, { minTransmissionAngle: this.transmissionAngleThreshold, minSafetyFactor: this.strengthSafetyThreshold });
+        return problems.map(problem => problem.message);
+    }
+    
     // Transform a point from world coordinates to screen coordinates
     transform(point) {
         if (!point || typeof point.x !== 'number' || typeof point.y !== 'number') {
@@ -316,7 +1208,8 @@ class BoxRenderer {
     // Draw box outline
     drawBox() {
         const ctx = this.ctx;
-        const vertices = this.geometry.getBoxVertices();
+        // Just the walls, inner and outer outlines, if the box is hollow
+        const vertices = this.geometry.getBoxShellVertices();
         
         ctx.beginPath();
         const first = this.transform(vertices[0]);
@@ -340,6 +1233,7 @@ class BoxRenderer {
         if (!vertices || vertices.length === 0) return;
         
         const isColliding = isMovingLid && this.geometry.findCurrentCollision();
+        const isPoorTransmission = isMovingLid && !isColliding && this.isCurrentTransmissionPoor();
         
         this.ctx.save();
         this.ctx.beginPath();
@@ -353,7 +1247,9 @@ class BoxRenderer {
         }
         
         this.ctx.closePath();
-        this.ctx.fillStyle = isColliding ? 'rgba(255, 0, 0, 0.3)' : 'rgba(200, 200, 200, 0.1)';
+        this.ctx.fillStyle = isColliding ? 'rgba(255, 0, 0, 0.3)' :
+            isPoorTransmission ? 'rgba(255, 150, 0, 0.3)' :  // Orange while the links are nearly lined up
+            'rgba(200, 200, 200, 0.1)';
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 2;
         this.ctx.fill();
@@ -371,19 +1267,19 @@ class BoxRenderer {
         // Reset line dash
         ctx.setLineDash([]);
         
-        // Draw perpendicular line from box pivot point directly to center of rotation
+        // Draw perpendicular line from box pivot point along its constraint line
         ctx.beginPath();
         ctx.setLineDash([2, 2]);  // Dotted line
         ctx.strokeStyle = color === 'red' ? '#ff8080' : color === 'blue' ? '#80b3ff' : `${color}33`;  // Lighter but still vibrant
         
         const boxPoint = this.transform(line.boxPoint);
         
-        // Get center of rotation (now stored directly in the constraint line)
-        const centerOfRotation = this.transform(line.perpStart); // Using perpStart which now contains the center
+        // Get the constraint line's centre, between the lid pivot's closed and open positions
+        const lineCenter = this.transform(line.perpStart); // Using perpStart which contains the centre
         
-        // Draw perpendicular line from box point directly to center of rotation
+        // Draw perpendicular line from box point directly to the line's centre
         ctx.moveTo(boxPoint.x, boxPoint.y);
-        ctx.lineTo(centerOfRotation.x, centerOfRotation.y);
+        ctx.lineTo(lineCenter.x, lineCenter.y);
         ctx.stroke();
         ctx.setLineDash([]);  // Reset dash
         
@@ -474,9 +1370,12 @@ class BoxRenderer {
             points.redBoxPoint && points.blueBoxPoint && 
             points.redClosedPoint && points.blueClosedPoint;
         const invalidConfig = allPointsInitialized && !this.geometry.isValidConfiguration();
-        const hasCollision = this.geometry.totalCollisionPoints.size > 0;  // Check total collisions instead of current frame
+        const hasCollision = this.motionReport.hasCollision;  // Check the whole motion instead of current frame
+        const hasBranchFlip = this.motionReport.branchFlips.length > 0;
+        const missesIntermediate = this.motionReport.passesIntermediatePose === false;
+        const hasRodWallCollision = this.rodWallReport && this.rodWallReport.hasCollision;
         
-        if (invalidConfig || hasCollision) {
+        if (invalidConfig || hasCollision || hasBranchFlip || missesIntermediate || hasRodWallCollision) {
             this.ctx.save();
             this.ctx.font = '18px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';  // Larger and bold
             this.ctx.fillStyle = '#ff0000';  // Bright red
@@ -486,6 +1385,15 @@ class BoxRenderer {
             if (hasCollision) {
                 this.ctx.fillText('Collision detected!', this.displayWidth / 2, 10);
                 this.ctx.fillText('Try moving the red and blue pivot points.', this.displayWidth / 2, 35);
+            } else if (hasRodWallCollision) {
+                this.ctx.fillText('Rod hits a wall!', this.displayWidth / 2, 10);
+                this.ctx.fillText('Try moving the red and blue pivot points.', this.displayWidth / 2, 35);
+            } else if (hasBranchFlip) {
+                this.ctx.fillText('Linkage flips over mid-motion!', this.displayWidth / 2, 10);
+                this.ctx.fillText('Try moving the red and blue pivot points.', this.displayWidth / 2, 35);
+            } else if (missesIntermediate) {
+                this.ctx.fillText('Lid misses the intermediate position!', this.displayWidth / 2, 10);
+                this.ctx.fillText('Try moving or rotating the dashed lid.', this.displayWidth / 2, 35);
             }
             
             this.ctx.restore();
@@ -495,25 +1403,227 @@ class BoxRenderer {
     // Draw accumulated collision area if there has been a collision
     drawCollisionArea() {
         this.ctx.save();
-        // Draw total collision pixels in red
-        if (this.geometry.totalCollisionPoints.size > 0) {
+        // Draw every overlap shape found in the motion analysis in red, lid/box and rod/wall alike
+        const collisions = this.rodWallReport
+            ? [...this.motionReport.collisions, ...this.rodWallReport.collisions]
+            : this.motionReport.collisions;
+        if (collisions.length > 0) {
             this.ctx.fillStyle = 'rgba(255, 0, 0, 0.3)';  // Semi-transparent red
-            for (const pixelStr of this.geometry.totalCollisionPoints) {
-                const [x, y] = pixelStr.split(',').map(Number);
-                const point = this.transform({x, y});
-                const displayPixelSize = this.transform({x: this.geometry.detectionGridSize, y: 0}).x - this.transform({x: 0, y: 0}).x;
-                this.ctx.fillRect(
-                    point.x - displayPixelSize/2,
-                    point.y - displayPixelSize/2,
-                    displayPixelSize,
-                    displayPixelSize
-                );
+            
+            // Build one path so overlapping shapes from neighbouring steps are filled once
+            // (all pieces are counter-clockwise, so the nonzero rule fills their union)
+            this.ctx.beginPath();
+            for (const collision of collisions) {
+                for (const polygon of collision.polygons) {
+                    const first = this.transform(polygon[0]);
+                    this.ctx.moveTo(first.x, first.y);
+                    for (let i = 1; i < polygon.length; i++) {
+                        const point = this.transform(polygon[i]);
+                        this.ctx.lineTo(point.x, point.y);
+                    }
+                    this.ctx.closePath();
+                }
             }
+            this.ctx.fill('nonzero');
         }
 
         this.ctx.restore();
     }
     
+    // Rotation handle of the intermediate lid, just above the middle of the lid's top edge
+    getGhostRotateHandle() {
+        return this.geometry.transformToIntermediatePose(this.getGhostHandleOnClosedLid());
+    }
+    
+    // Where the rotation handle sits on the closed lid, before the intermediate pose is applied
+    getGhostHandleOnClosedLid() {
+        return {
+            x: this.geometry.depth / 2,
+            y: this.geometry.height + Math.max(this.geometry.width, this.geometry.height) * 0.1
+        };
+    }
+    
+    // Draw the intermediate ("ghost") lid the linkage is synthesised to pass through
+    drawIntermediateLid() {
+        const pose = this.geometry.intermediatePose;
+        if (!pose) return;
+        
+        const ctx = this.ctx;
+        const vertices = this.geometry.getIntermediateLidVertices();
+        const pivots = this.geometry.getIntermediatePivotPoints();
+        const center = this.transform(pose);
+        const handle = this.transform(this.getGhostRotateHandle());
+        
+        ctx.save();
+        
+        // Dashed lid outline
+        ctx.beginPath();
+        const first = this.transform(vertices[0]);
+        ctx.moveTo(first.x, first.y);
+        for (let i = 1; i < vertices.length; i++) {
+            const point = this.transform(vertices[i]);
+            ctx.lineTo(point.x, point.y);
+        }
+        ctx.closePath();
+        ctx.setLineDash([6, 4]);
+        ctx.fillStyle = 'rgba(200, 200, 200, 0.1)';
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 2;
+        ctx.fill();
+        ctx.stroke();
+        
+        // Light rods from each box pivot to its lid pivot in the intermediate pose
+        for (const [color, boxPoint, pivot] of [
+            ['#ff808088', this.geometry.redBoxPoint, pivots.red],
+            ['#80b3ff88', this.geometry.blueBoxPoint, pivots.blue]
+        ]) {
+            const from = this.transform(boxPoint);
+            const to = this.transform(pivot);
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+        
+        // Rotation handle arm
+        ctx.setLineDash([2, 2]);
+        ctx.strokeStyle = '#666';
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(handle.x, handle.y);
+        ctx.stroke();
+        ctx.restore();
+        
+        this.drawCircle(this.getGhostRotateHandle(), 4, '#666');
+        
+        // Hollow pivots, so they can't be mistaken for the draggable ones
+        this.drawCircle(pivots.red, 5, 'red', false);
+        this.drawCircle(pivots.blue, 5, 'blue', false);
+    }
+    
+    // Which part of the intermediate lid, if any, is under a point
+    hitTestGhost(point, hitArea) {
+        if (!this.geometry.intermediatePose) return null;
+        
+        if (this.geometry.distance(point, this.getGhostRotateHandle()) < hitArea) {
+            return 'ghost-rotate';
+        }
+        if (this.geometry.isPointInPolygon(point, this.geometry.getIntermediateLidVertices())) {
+            return 'ghost-move';
+        }
+        return null;
+    }
+    
+    startGhostDrag(point, type) {
+        const pose = this.geometry.intermediatePose;
+        this.isDragging = true;
+        this.selectedPoint = type;
+        this.ghostDragOffset = {
+            x: pose.x - point.x,
+            y: pose.y - point.y
+        };
+    }
+    
+    // Move or rotate the intermediate lid, re-solving the box pivots as it goes
+    dragGhost(point) {
+        const pose = {...this.geometry.intermediatePose};
+        
+        if (this.selectedPoint === 'ghost-move') {
+            pose.x = point.x + this.ghostDragOffset.x;
+            pose.y = point.y + this.ghostDragOffset.y;
+        } else {
+            // Turn the lid so its handle points at the cursor
+            const reference = this.geometry.getLidReferencePoint();
+            const handle = this.getGhostHandleOnClosedLid();
+            const handleAngle = Math.atan2(handle.y - reference.y, handle.x - reference.x);
+            pose.angle = Math.atan2(point.y - pose.y, point.x - pose.x) - handleAngle;
+        }
+        
+        this.geometry.setIntermediatePose(pose);
+        this.updateMotionReport();
+        this.draw();
+    }
+    
+    // The open lid's rotation handle: the intermediate lid's handle point, carried to the open pose
+    getOpenLidRotateHandle() {
+        return this.geometry.getOpenPosition(this.getGhostHandleOnClosedLid());
+    }
+    
+    // Draw the handle that turns the open lid, on an arm from its reference point
+    drawOpenLidHandle() {
+        const ctx = this.ctx;
+        const center = this.transform(this.geometry.getOpenLidReferencePoint());
+        const handle = this.transform(this.getOpenLidRotateHandle());
+        
+        ctx.save();
+        ctx.setLineDash([2, 2]);
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(handle.x, handle.y);
+        ctx.stroke();
+        ctx.restore();
+        
+        this.drawCircle(this.getOpenLidRotateHandle(), 4, '#666');
+    }
+    
+    // Which part of the open lid, if any, is under a point
+    hitTestOpenLid(point, hitArea) {
+        if (this.geometry.distance(point, this.getOpenLidRotateHandle()) < hitArea) {
+            return 'openlid-rotate';
+        }
+        if (this.geometry.isPointInPolygon(point, this.geometry.getOpenLidVertices())) {
+            return 'openlid-move';
+        }
+        return null;
+    }
+    
+    startOpenLidDrag(point, type) {
+        const reference = this.geometry.getOpenLidReferencePoint();
+        this.isDragging = true;
+        this.selectedPoint = type;
+        this.openLidDragOffset = {
+            x: reference.x - point.x,
+            y: reference.y - point.y
+        };
+    }
+    
+    // Move or rotate the open lid, which moves the box pivots' constraint lines with it
+    dragOpenLid(point) {
+        const reference = this.geometry.getOpenLidReferencePoint();
+        let position = reference;
+        let angle = this.geometry.openRestAngle;
+        
+        if (this.selectedPoint === 'openlid-move') {
+            position = {
+                x: point.x + this.openLidDragOffset.x,
+                y: point.y + this.openLidDragOffset.y
+            };
+        } else {
+            // Turn the lid (clockwise) so its handle points at the cursor
+            const closedReference = this.geometry.getLidReferencePoint();
+            const handle = this.getGhostHandleOnClosedLid();
+            const handleAngle = Math.atan2(handle.y - closedReference.y, handle.x - closedReference.x);
+            angle = handleAngle - Math.atan2(point.y - reference.y, point.x - reference.x);
+        }
+        
+        try {
+            this.geometry.placeOpenLid(position, angle);
+        } catch (error) {
+            // Back on the closed lid, which isn't a pose the linkage can be built for
+            return;
+        }
+        // Box pivots passing through the intermediate lid are solved from the open pose too
+        if (this.geometry.intermediatePose) {
+            this.geometry.setIntermediatePose(this.geometry.intermediatePose);
+        }
+        this.geometry.initializeFourBar();
+        this.updateMotionReport();
+        this.draw();
+    }
+    
     // Draw rod length feedback
     drawRodLengthFeedback() {
         const redLine = this.geometry.getRedConnectionLine();
@@ -580,7 +1690,7 @@ class BoxRenderer {
         ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Check if current configuration is valid and draw error background if not
-        const isValid = this.geometry.isValidRangeReachable();
+        const isValid = this.motionReport.reachable;
         if (!isValid) {
             // Add a light pink overlay for error state
             ctx.fillStyle = 'rgba(255, 235, 235, 1)';
@@ -591,8 +1701,9 @@ class BoxRenderer {
         this.drawBox();
         
         // Draw lid in both positions
-        this.drawLid(this.geometry.getClosedLidVertices(), 'black');
-        this.drawLid(this.geometry.getOpenLidVertices(), 'black');
+        this.drawLid(this.geometry.getClosedLidShellVertices(), 'black');
+        this.drawLid(this.geometry.getOpenLidShellVertices(), 'black');
+        this.drawOpenLidHandle();
         
         // Draw moving lid if available and animating
         const movingLidVertices = this.geometry.getMovingLidVertices();
@@ -600,6 +1711,18 @@ class BoxRenderer {
             this.drawLid(movingLidVertices, '#66c2a588', true);  // Semi-transparent teal
         }
         
+        // Draw the intermediate lid for three-position synthesis
+        this.drawIntermediateLid();
+        
+        // Draw the paths of traced lid points
+        this.drawTraces();
+        
+        // Draw where the tolerance analysis' builds open to and collide
+        this.drawTolerance();
+        
+        // Draw the spring, gas strut or counterweight
+        this.drawBalancer();
+        
         // Draw labels
         ctx.font = '14px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
         ctx.fillStyle = 'black';
@@ -634,7 +1757,7 @@ class BoxRenderer {
             
             // Stop any existing animation
             this.stopAnimation();
-        } else if (!this.isDragging && !this.animationId && this.geometry.isValidRangeReachable()) {
+        } else if (!this.isDragging && !this.isOptimizing && !this.animationId && !this.isDropping && this.motionReport.reachable) {
             // Only start animation if valid and not already animating
             this.startAnimation();
         }
@@ -705,53 +1828,6 @@ class BoxRenderer {
             this.drawRodLengthFeedback();
         }
 
-        // Calculate which pivot is short/tall and maintain minDistFromShortLinkToTallPivot
-        // Determine which point is on top (higher Y value)
-        // const fb = this.geometry.fourBarConfig;
-        // Future improvement: run this very fast any time any configuration is changed, rather than in-time with the animation. 
-        // Currently it's possible to click "generate STL" too quickly and not receive the warning if the animation is not complete
-        if (fb) {
-            const inputFollower = fb.inputFollower;
-            const outputFollower = fb.outputFollower;
-            const redBoxPoint = this.geometry.redBoxPoint;
-            const blueBoxPoint = this.geometry.blueBoxPoint;
-            
-            const isRedBoxPointOnTop = this.geometry.redClosedPoint.y > this.geometry.blueClosedPoint.y;
-            const shortBoxPoint = isRedBoxPointOnTop ? redBoxPoint : blueBoxPoint;
-            const shortLidPoint = isRedBoxPointOnTop ? inputFollower : outputFollower;
-            const tallLidPoint = isRedBoxPointOnTop ? outputFollower : inputFollower;
-            
-            const currentDistance = this.geometry.getDistanceFromPointToLineSegment(
-                tallLidPoint, shortLidPoint, shortBoxPoint
-            );
-            this.minDistFromShortLinkToTallPivot = Math.min(
-                this.minDistFromShortLinkToTallPivot,
-                currentDistance
-            );
-        
-            // // Display the minDistFromShortLinkToTallPivot value for debugging
-            // ctx.save();
-            // ctx.font = '12px monospace';
-            // ctx.fillStyle = 'black';
-            // ctx.textAlign = 'left';
-            // ctx.textBaseline = 'top';
-            // ctx.fillText(`Current distance: ${currentDistance.toFixed(2)}`, 10, 10);
-            // ctx.fillText(`Min distance: ${this.minDistFromShortLinkToTallPivot.toFixed(2)}`, 10, 30);
-            // ctx.restore();
-
-            // const shortLidPointTransformed = this.transform(shortLidPoint);
-            // const shortBoxPointTransformed = this.transform(shortBoxPoint);
-            // ctx.beginPath();
-            // ctx.strokeStyle = '#3CB371';
-            // ctx.lineWidth = 3;
-            // ctx.moveTo(shortLidPointTransformed.x, shortLidPointTransformed.y);
-            // ctx.lineTo(shortBoxPointTransformed.x, shortBoxPointTransformed.y);
-            // ctx.stroke();
-
-            // // note: can't use tallLidPoint because it's transformed (again) in the drawCircle function
-            // this.drawCircle(tallLidPoint, 8, 'green');
-        }
-        
         // Draw warning text
         this.drawWarningText();
         
@@ -802,7 +1878,7 @@ class BoxRenderer {
             ctx.restore();
             
             // Fade out if we're no longer showing or there are collision points
-            if (!this.showHelpText && Date.now() - this.lastInteractionTime > 300 || this.geometry.totalCollisionPoints.size > 0) {
+            if (!this.showHelpText && Date.now() - this.lastInteractionTime > 300 || this.motionReport.hasCollision) {
                 this.helpTextOpacity = Math.max(0, this.helpTextOpacity - 0.05); // Slower fade
             }
         }
@@ -810,10 +1886,15 @@ class BoxRenderer {
         // Draw collision area
         this.drawCollisionArea();
         
+        // Move the cursor on the charts under the canvas
+        this.drawKinematicCharts();
     }
     
     // Mouse event handlers
     handleMouseDown(e) {
+        // Pivots belong to the optimizer while it runs
+        if (this.isOptimizing) return;
+        
         // Hide help text on first interaction
         if (this.showHelpText) {
             this.showHelpText = false;
@@ -828,9 +1909,12 @@ class BoxRenderer {
         
         // Clear collision state when moving points
         this.geometry.clearCollisionState();
-
-        // Clear minDistFromShortLinkToTallPivot when parameters change
-        this.minDistFromShortLinkToTallPivot = Infinity;
+        
+        // A balancer being placed takes the click
+        if (this.balancerPlacement) {
+            this.placeBalancerPoint(point);
+            return;
+        }
         
         // Check red points
         if (this.geometry.isPointNearRedOpenPoint(point, hitArea)) {
@@ -839,7 +1923,7 @@ class BoxRenderer {
         } else if (this.geometry.isPointNearRedClosedPoint(point, hitArea)) {
             this.isDragging = true;
             this.selectedPoint = 'red-closed';
-        } else if (this.geometry.isPointNearRedBoxPoint(point, hitArea)) {
+        } else if (!this.geometry.intermediatePose && this.geometry.isPointNearRedBoxPoint(point, hitArea)) {
             this.isDragging = true;
             this.selectedPoint = 'red-box';
         }
@@ -850,10 +1934,27 @@ class BoxRenderer {
         } else if (this.geometry.isPointNearBlueClosedPoint(point, hitArea)) {
             this.isDragging = true;
             this.selectedPoint = 'blue-closed';
-        } else if (this.geometry.isPointNearBlueBoxPoint(point, hitArea)) {
+        } else if (!this.geometry.intermediatePose && this.geometry.isPointNearBlueBoxPoint(point, hitArea)) {
             this.isDragging = true;
             this.selectedPoint = 'blue-box';
         }
+        // Box pivots are solved from the three lid positions, so the intermediate lid moves instead
+        else {
+            const balancerHit = this.hitTestBalancer(point, hitArea);
+            const ghostHit = !balancerHit && this.hitTestGhost(point, hitArea);
+            const openLidHit = !balancerHit && !ghostHit && this.hitTestOpenLid(point, hitArea);
+            if (balancerHit) {
+                this.isDragging = true;
+                this.selectedPoint = balancerHit;
+            } else if (ghostHit) {
+                this.startGhostDrag(point, ghostHit);
+            } else if (openLidHit) {
+                this.startOpenLidDrag(point, openLidHit);
+            } else {
+                // Anywhere else on the closed lid adds or removes a traced point
+                this.toggleTraceAt(point, hitArea);
+            }
+        }
     }
     
     handleMouseMove(e) {
@@ -863,25 +1964,29 @@ class BoxRenderer {
         
         // Clear collision state when moving points
         this.geometry.clearCollisionState();
-
-        // Clear minDistFromShortLinkToTallPivot when parameters change
-        this.minDistFromShortLinkToTallPivot = Infinity;
+        
+        if (this.selectedPoint.startsWith('ghost')) {
+            this.dragGhost(point);
+            return;
+        }
+        if (this.selectedPoint.startsWith('openlid')) {
+            this.dragOpenLid(point);
+            return;
+        }
+        if (this.selectedPoint.startsWith('balancer')) {
+            this.dragBalancer(point);
+            return;
+        }
         
         // Handle existing point dragging
         const [color, pointType] = this.selectedPoint.split('-');
-        const center = this.geometry.getCenterOfRotation();
         
         if (color === 'red') {
             if (pointType === 'closed') {
                 this.geometry.moveRedClosedPoint(point);
             } else if (pointType === 'open') {
-                // For open point, move the closed point to the opposite position
-                const dx = point.x - center.x;
-                const dy = point.y - center.y;
-                this.geometry.moveRedClosedPoint({
-                    x: center.x - dx,
-                    y: center.y - dy
-                });
+                // For open point, move the closed point to where it comes from
+                this.geometry.moveRedClosedPoint(this.geometry.getClosedPosition(point));
             } else if (pointType === 'box') {
                 this.geometry.moveRedBoxPoint(point);
             }
@@ -889,13 +1994,8 @@ class BoxRenderer {
             if (pointType === 'closed') {
                 this.geometry.moveBlueClosedPoint(point);
             } else if (pointType === 'open') {
-                // For open point, move the closed point to the opposite position
-                const dx = point.x - center.x;
-                const dy = point.y - center.y;
-                this.geometry.moveBlueClosedPoint({
-                    x: center.x - dx,
-                    y: center.y - dy
-                });
+                // For open point, move the closed point to where it comes from
+                this.geometry.moveBlueClosedPoint(this.geometry.getClosedPosition(point));
             } else if (pointType === 'box') {
                 this.geometry.moveBlueBoxPoint(point);
             }
@@ -904,19 +2004,35 @@ class BoxRenderer {
         // Re-initialize four-bar after pivot points move
         this.geometry.initializeFourBar();
         
+        // Validate the whole motion for the new pivot positions
+        this.updateMotionReport();
+        
         this.draw();
     }
     
     handleMouseUp() {
         if (this.isDragging) {
+            const wasOpenLid = this.selectedPoint.startsWith('openlid');
             this.isDragging = false;
             this.selectedPoint = null;
             
+            // Refit the view around the open lid's new pose and show it in the open pose controls
+            if (wasOpenLid) {
+                this.setOpenPose(this.geometry.openRestAngle, this.geometry.openOffset);
+                window.showOpenPose();
+            }
+            
             // Update URL with final position
             window.updateUrl();
             
+            // Catch up on the report the drag put off
+            if (this.reportTimer) {
+                this.finishMotionReport();
+                this.draw();
+            }
+            
             // Check if configuration is valid and start animation if it is
-            if (this.geometry.isValidRangeReachable()) {
+            if (this.motionReport.reachable) {
                 this.startAnimation();
             }
         }
@@ -939,7 +2055,7 @@ class BoxRenderer {
 
     handleTouchStart(e) {
         e.preventDefault(); // Prevent scrolling while touching pivot points
-        if (e.touches.length === 1) {
+        if (e.touches.length === 1 && !this.isOptimizing) {
             const point = this.getTouchPoint(e.touches[0]);
             const hitArea = 20 / this.scale;  // Larger hit area for touch
             
@@ -954,9 +2070,12 @@ class BoxRenderer {
             
             // Clear collision state when moving points
             this.geometry.clearCollisionState();
-
-            // Clear minDistFromShortLinkToTallPivot when parameters change
-            this.minDistFromShortLinkToTallPivot = Infinity;
+            
+            // A balancer being placed takes the touch
+            if (this.balancerPlacement) {
+                this.placeBalancerPoint(point);
+                return;
+            }
             
             // Check red points
             if (this.geometry.isPointNearRedOpenPoint(point, hitArea)) {
@@ -965,7 +2084,7 @@ class BoxRenderer {
             } else if (this.geometry.isPointNearRedClosedPoint(point, hitArea)) {
                 this.isDragging = true;
                 this.selectedPoint = 'red-closed';
-            } else if (this.geometry.isPointNearRedBoxPoint(point, hitArea)) {
+            } else if (!this.geometry.intermediatePose && this.geometry.isPointNearRedBoxPoint(point, hitArea)) {
                 this.isDragging = true;
                 this.selectedPoint = 'red-box';
             }
@@ -976,10 +2095,27 @@ class BoxRenderer {
             } else if (this.geometry.isPointNearBlueClosedPoint(point, hitArea)) {
                 this.isDragging = true;
                 this.selectedPoint = 'blue-closed';
-            } else if (this.geometry.isPointNearBlueBoxPoint(point, hitArea)) {
+            } else if (!this.geometry.intermediatePose && this.geometry.isPointNearBlueBoxPoint(point, hitArea)) {
                 this.isDragging = true;
                 this.selectedPoint = 'blue-box';
             }
+            // Box pivots are solved from the three lid positions, so the intermediate lid moves instead
+            else {
+                const balancerHit = this.hitTestBalancer(point, hitArea);
+                const ghostHit = !balancerHit && this.hitTestGhost(point, hitArea);
+                const openLidHit = !balancerHit && !ghostHit && this.hitTestOpenLid(point, hitArea);
+                if (balancerHit) {
+                    this.isDragging = true;
+                    this.selectedPoint = balancerHit;
+                } else if (ghostHit) {
+                    this.startGhostDrag(point, ghostHit);
+                } else if (openLidHit) {
+                    this.startOpenLidDrag(point, openLidHit);
+                } else {
+                    // Anywhere else on the closed lid adds or removes a traced point
+                    this.toggleTraceAt(point, hitArea);
+                }
+            }
         }
     }
 
@@ -990,25 +2126,29 @@ class BoxRenderer {
             
             // Clear collision state when moving points
             this.geometry.clearCollisionState();
-
-            // Clear minDistFromShortLinkToTallPivot when parameters change
-            this.minDistFromShortLinkToTallPivot = Infinity;
+            
+            if (this.selectedPoint.startsWith('ghost')) {
+                this.dragGhost(point);
+                return;
+            }
+            if (this.selectedPoint.startsWith('openlid')) {
+                this.dragOpenLid(point);
+                return;
+            }
+            if (this.selectedPoint.startsWith('balancer')) {
+                this.dragBalancer(point);
+                return;
+            }
             
             // Handle existing point dragging
             const [color, pointType] = this.selectedPoint.split('-');
-            const center = this.geometry.getCenterOfRotation();
             
             if (color === 'red') {
                 if (pointType === 'closed') {
                     this.geometry.moveRedClosedPoint(point);
                 } else if (pointType === 'open') {
-                    // For open point, move the closed point to the opposite position
-                    const dx = point.x - center.x;
-                    const dy = point.y - center.y;
-                    this.geometry.moveRedClosedPoint({
-                        x: center.x - dx,
-                        y: center.y - dy
-                    });
+                    // For open point, move the closed point to where it comes from
+                    this.geometry.moveRedClosedPoint(this.geometry.getClosedPosition(point));
                 } else if (pointType === 'box') {
                     this.geometry.moveRedBoxPoint(point);
                 }
@@ -1016,13 +2156,8 @@ class BoxRenderer {
                 if (pointType === 'closed') {
                     this.geometry.moveBlueClosedPoint(point);
                 } else if (pointType === 'open') {
-                    // For open point, move the closed point to the opposite position
-                    const dx = point.x - center.x;
-                    const dy = point.y - center.y;
-                    this.geometry.moveBlueClosedPoint({
-                        x: center.x - dx,
-                        y: center.y - dy
-                    });
+                    // For open point, move the closed point to where it comes from
+                    this.geometry.moveBlueClosedPoint(this.geometry.getClosedPosition(point));
                 } else if (pointType === 'box') {
                     this.geometry.moveBlueBoxPoint(point);
                 }
@@ -1031,6 +2166,9 @@ class BoxRenderer {
             // Re-initialize four-bar after pivot points move
             this.geometry.initializeFourBar();
             
+            // Validate the whole motion for the new pivot positions
+            this.updateMotionReport();
+            
             this.draw();
         }
     }
@@ -1079,7 +2217,7 @@ class BoxRenderer {
         
         const animate = (timestamp) => {
             // Stop animation if mouse is down or range is not reachable
-            if (this.isDragging || !this.geometry.isValidRangeReachable()) {
+            if (this.isDragging || this.isOptimizing || !this.motionReport.reachable) {
                 this.stopAnimation();
                 return;
             }
@@ -1126,6 +2264,7 @@ class BoxRenderer {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
             this.lastTimestamp = null;
+            this.isDropping = false;
             this.geometry.isAnimating = false;
             // Just redraw without modifying the configuration
             this.draw();
@@ -1139,6 +2278,7 @@ class BoxRenderer {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
+        clearTimeout(this.reportTimer);
         
         // Remove event listeners
         this.canvas.removeEventListener('mousedown', this.handleMouseDown);
@@ -1167,258 +2307,8 @@ class BoxRenderer {
     }
     
     generateTemplate() {
-        const bounds = this.geometry.getTemplateBounds();
-        
-        // Get selected units and conversion factors for PDF (which uses cm)
         const selectedUnit = document.querySelector('input[name="units"]:checked').value;
-        const unitConversions = {
-            mm: { toUnit: 0.1, label: 'mm', scaleLength: 100 },    // divide by 10 to convert mm to cm
-            cm: { toUnit: 1, label: 'cm', scaleLength: 10 },       // no conversion needed
-            in: { toUnit: 2.54, label: 'in', scaleLength: 3 }      // multiply by 2.54 to convert inches to cm
-        };
-        const unitConv = unitConversions[selectedUnit];
-        
-        // Create initial PDF (we'll set size per page)
-        const { jsPDF } = window.jspdf;
-        const margin = 0.5;  // 0.5cm margin
-        
-        // Initialize PDF with a temporary size - we'll add properly sized pages
-        const pdf = new jsPDF('p', 'cm', [21, 29.7]);  // A4 portrait as initial size
-        
-        // Helper functions for drawing
-        const drawBoxOutline = (transform) => {
-            pdf.setDrawColor(40);  // Dark gray instead of pure black
-            pdf.setLineWidth(0.015);  // Slightly thicker lines
-            
-            const boxVertices = this.geometry.getBoxVertices();
-            for (let i = 0; i < boxVertices.length; i++) {
-                const p1 = boxVertices[i];
-                const p2 = boxVertices[(i + 1) % boxVertices.length];
-                
-                const tp1 = transform(p1);
-                const tp2 = transform(p2);
-                pdf.line(tp1.x, tp1.y, tp2.x, tp2.y);
-            }
-        };
-        
-        const drawClosedLidOutline = (transform) => {
-            pdf.setDrawColor(120);  // Lighter gray for lid
-            pdf.setLineWidth(0.015);  // Match box line weight
-            pdf.setLineDashPattern([0.05, 0.05], 0);  // Dotted line for lid
-            
-            const lidVertices = this.geometry.getClosedLidVertices();
-            for (let i = 0; i < lidVertices.length; i++) {
-                const p1 = lidVertices[i];
-                const p2 = lidVertices[(i + 1) % lidVertices.length];
-                
-                const tp1 = transform(p1);
-                const tp2 = transform(p2);
-                pdf.line(tp1.x, tp1.y, tp2.x, tp2.y);
-            }
-            pdf.setLineDashPattern([], 0);  // Reset dash
-        };
-        
-        const drawPivotPoints = (transform) => {
-            const points = [
-                { point: this.geometry.redBoxPoint, color: '#E63946' },  // Warmer red
-                { point: this.geometry.blueBoxPoint, color: '#457B9D' }, // Muted blue
-                { point: this.geometry.redClosedPoint, color: '#E63946' },
-                { point: this.geometry.blueClosedPoint, color: '#457B9D' }
-            ];
-            
-            const radius = 0.08;  // Slightly smaller points
-            pdf.setLineWidth(0.01);
-            for (const {point, color} of points) {
-                const p = transform(point);
-                pdf.setFillColor(color);
-                pdf.circle(p.x, p.y, radius, 'F');
-                // Add subtle border
-                pdf.setDrawColor(40);
-                pdf.circle(p.x, p.y, radius, 'S');
-            }
-        };
-        
-        const drawConnectionLines = (transform, withLabels = true, fontSize = 8) => {
-            const drawConnection = (boxPoint, lidPoint, color) => {
-                const tp1 = transform(boxPoint);
-                const tp2 = transform(lidPoint);
-                
-                pdf.lineWidth = 3;
-                pdf.setDrawColor(color === '#E63946' ? '#E63946' : color === '#457B9D' ? '#457B9D' : color);
-                pdf.line(tp1.x, tp1.y, tp2.x, tp2.y);
-                
-                // Calculate length in model units
-                const length = Math.sqrt(
-                    Math.pow(boxPoint.x - lidPoint.x, 2) + 
-                    Math.pow(boxPoint.y - lidPoint.y, 2)
-                );
-
-                // Position text at midpoint of line
-                const midX = (tp1.x + tp2.x) / 2;
-                const midY = (tp1.y + tp2.y) / 2;
-                
-                // Draw length label using current unit system
-                pdf.setFontSize(fontSize);
-                pdf.setTextColor(40);
-                pdf.text(`${(length).toFixed(1)}${unitConv.label}`, midX, midY);
-            };
-            
-            // Draw lines between red and blue pivot points
-            drawConnection(this.geometry.redBoxPoint, this.geometry.redClosedPoint, '#E63946');
-            drawConnection(this.geometry.blueBoxPoint, this.geometry.blueClosedPoint, '#457B9D');
-            
-            pdf.lineWidth = 1;
-            pdf.setTextColor(40);  // Reset text color
-        };
-        
-        const drawScaleLine = (pageWidth, pageHeight, fontSize = 8) => {
-            // Calculate scale length to fit within the page width
-            const maxScaleLength = pageWidth - 2 * margin;
-            let scaleLength = unitConv.scaleLength;
-            let scaleLengthCm = scaleLength * unitConv.toUnit;
-            
-            while (scaleLengthCm > maxScaleLength && scaleLength > 1) {
-                scaleLength = Math.floor(scaleLength / 2);
-                scaleLengthCm = scaleLength * unitConv.toUnit;
-            }
-            
-            const scaleStartX = margin;
-            const scaleLineY = pageHeight - margin;
-            const scaleEndX = scaleStartX + scaleLengthCm;
-            
-            // Draw scale line with modern style
-            pdf.setDrawColor(40);
-            pdf.setLineWidth(0.02);
-            pdf.line(scaleStartX, scaleLineY, scaleEndX, scaleLineY);
-            
-            // End ticks with subtle extension
-            const tickHeight = 0.15;
-            pdf.setLineWidth(0.015);
-            pdf.line(scaleStartX, scaleLineY - tickHeight/2, scaleStartX, scaleLineY + tickHeight/2);
-            pdf.line(scaleEndX, scaleLineY - tickHeight/2, scaleEndX, scaleLineY + tickHeight/2);
-            
-            // Scale label with background
-            pdf.setFontSize(fontSize);
-            const text = `${scaleLength}${unitConv.label}`;
-            const textWidth = pdf.getTextWidth(text);
-            const padding = 0.1;
-            
-            const textX = (scaleStartX + scaleEndX) / 2 - textWidth/2;
-            const textY = scaleLineY + 0.3;
-            
-            // White background for better readability
-            pdf.setFillColor(255);
-            pdf.rect(textX - padding, textY - fontSize/72*2.54, 
-                    textWidth + padding*2, fontSize/72*2.54 + padding*2, 'F');
-            
-            pdf.setTextColor(40);
-            pdf.text(text, textX, textY);
-        };
-        
-        // Page 1: Template with pivot points - size based on template bounds
-        const page1Width = bounds.maxX * unitConv.toUnit - bounds.minX * unitConv.toUnit + 2 * margin;
-        const page1Height = bounds.maxY * unitConv.toUnit - bounds.minY * unitConv.toUnit + 2 * margin;
-        const page1Orientation = page1Width > page1Height ? 'l' : 'p';
-        
-        // Calculate font size based on page dimensions
-        const page1FontSize = Math.min(8, Math.max(6, Math.min(page1Width, page1Height) / 10));
-        
-        // Remove the default first page and add our custom sized one
-        pdf.deletePage(1);
-        pdf.addPage([Math.max(page1Width, page1Height), Math.min(page1Width, page1Height)], page1Orientation);
-        
-        // Transform for page 1 (template view)
-        const transformTemplate = (point) => ({
-            x: point.x * unitConv.toUnit - bounds.minX * unitConv.toUnit + margin,
-            y: bounds.maxY * unitConv.toUnit - point.y * unitConv.toUnit + margin
-        });
-        
-        drawBoxOutline(transformTemplate);
-        drawClosedLidOutline(transformTemplate);
-        drawPivotPoints(transformTemplate);
-        drawConnectionLines(transformTemplate, true, page1FontSize);
-        drawScaleLine(page1Width, page1Height, page1FontSize);
-        
-        // Page 2: Text information - size based on text content
-        const textMargin = 1;  // Larger margin for text page
-        const lineHeight = 0.5;  // Height between lines
-        const textWidth = 8;  // Width needed for text content
-        const textHeight = 4;  // Height needed for text content
-        const page2Width = textWidth + 2 * textMargin;
-        const page2Height = textHeight + 2 * textMargin;
-        const page2Orientation = page2Width > page2Height ? 'l' : 'p';
-        
-        pdf.addPage([Math.max(page2Width, page2Height), Math.min(page2Width, page2Height)], page2Orientation);
-        
-        pdf.setFontSize(10);
-        const redLength = Math.sqrt(
-            Math.pow(this.geometry.redClosedPoint.x - this.geometry.redBoxPoint.x, 2) +
-            Math.pow(this.geometry.redClosedPoint.y - this.geometry.redBoxPoint.y, 2)
-        );
-        const blueLength = Math.sqrt(
-            Math.pow(this.geometry.blueClosedPoint.x - this.geometry.blueBoxPoint.x, 2) +
-            Math.pow(this.geometry.blueClosedPoint.y - this.geometry.blueBoxPoint.y, 2)
-        );
-        
-        pdf.text(`Box dimensions: ${this.geometry.width.toFixed(1)}${unitConv.label} wide \u00D7 ${this.geometry.height.toFixed(1)}${unitConv.label} tall`, textMargin, textMargin);
-        pdf.text(`Lid angle: ${Math.round(this.geometry.closedAngle * 180 / Math.PI)}\u00B0, depth: ${this.geometry.depth.toFixed(1)}${unitConv.label}`, textMargin, textMargin + lineHeight);
-        pdf.text(`Gap when open: ${this.geometry.gap.toFixed(1)}${unitConv.label}`, textMargin, textMargin + lineHeight * 2);
-        pdf.text(`Rod lengths:`, textMargin, textMargin + lineHeight * 4);
-        pdf.setTextColor('#ff0000');
-        pdf.text(`  Red: ${redLength.toFixed(1)}${unitConv.label}`, textMargin + 1, textMargin + lineHeight * 5);
-        pdf.setTextColor('#0000ff');
-        pdf.text(`  Blue: ${blueLength.toFixed(1)}${unitConv.label}`, textMargin + 1, textMargin + lineHeight * 6);
-        pdf.setTextColor(0);
-        
-        // Full template page with complete box outline
-        const getFullTemplateBounds = () => {
-            const points = [
-                ...this.geometry.getBoxVertices(),
-                ...this.geometry.getClosedLidVertices(),
-                this.geometry.redBoxPoint,
-                this.geometry.blueBoxPoint
-            ];
-            
-            const bounds = {
-                minX: Infinity,
-                maxX: -Infinity,
-                minY: Infinity,
-                maxY: -Infinity
-            };
-            
-            points.forEach(p => {
-                bounds.minX = Math.min(bounds.minX, p.x);
-                bounds.maxX = Math.max(bounds.maxX, p.x);
-                bounds.minY = Math.min(bounds.minY, p.y);
-                bounds.maxY = Math.max(bounds.maxY, p.y);
-            });
-            
-            return bounds;
-        };
-        
-        const fullTemplateBounds = getFullTemplateBounds();
-        const fullTemplateWidth = (fullTemplateBounds.maxX - fullTemplateBounds.minX) * unitConv.toUnit + 2 * margin;
-        const fullTemplateHeight = (fullTemplateBounds.maxY - fullTemplateBounds.minY) * unitConv.toUnit + 2 * margin;
-        const fullTemplateOrientation = fullTemplateWidth > fullTemplateHeight ? 'l' : 'p';
-        
-        // Calculate font size based on page dimensions
-        const fullTemplateFontSize = Math.min(8, Math.max(6, Math.min(fullTemplateWidth, fullTemplateHeight) / 10));
-        
-        pdf.addPage([Math.max(fullTemplateWidth, fullTemplateHeight), Math.min(fullTemplateWidth, fullTemplateHeight)], fullTemplateOrientation);
-        
-        // Transform for full template view
-        const transformFullTemplate = (point) => ({
-            x: (point.x - fullTemplateBounds.minX) * unitConv.toUnit + margin,
-            y: (fullTemplateBounds.maxY - point.y) * unitConv.toUnit + margin
-        });
-        
-        drawBoxOutline(transformFullTemplate);
-        drawClosedLidOutline(transformFullTemplate);
-        drawPivotPoints(transformFullTemplate);
-        drawConnectionLines(transformFullTemplate, true, fullTemplateFontSize);
-        drawScaleLine(fullTemplateWidth, fullTemplateHeight, fullTemplateFontSize);
-        
-        // Save the PDF
+        const pdf = new TemplateGenerator(this.geometry, selectedUnit).generatePdf();
         pdf.save('hinge-template.pdf');
     }
 }
\ No newline at end of file
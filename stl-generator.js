@@ -1,8 +1,10 @@
 // STL Generator for Hinge Box using JSCAD
 class STLGenerator {
     constructor(boxGeometry, units = 'cm', advancedSettings = {}) {
-        // Get JSCAD modules from the global jscadModeling object
-        this.modeling = jscadModeling;
+        // Get JSCAD modules from the global jscadModeling object, or the vendored copy under Node
+        this.modeling = typeof jscadModeling !== 'undefined'
+            ? jscadModeling
+            : require('./thirdparty/jscad/modeling');
         
         // Store geometry and apply scaling to the geometry dimensions
         this.units = units;
@@ -13,11 +15,18 @@ class STLGenerator {
         
         // All dimensions in mm - these are fixed regardless of units
         // Part thicknesses
-        this.boxThickness = advancedSettings.boxThickness || 3;     // Box thickness
+        // Box thickness, which a design with hollow walls sets itself
+        this.boxThickness = boxGeometry.wallThickness
+            ? boxGeometry.wallThickness * this.scaleFactor
+            : advancedSettings.boxThickness || 3;
         this.lidThickness = this.boxThickness;     // Lid thickness is same as box thickness
         this.linkThickness = advancedSettings.linkThickness || 2;  // Link thickness
 
         this.boxWidth = advancedSettings.boxWidth;  // the width of the 3D box
+        
+        // How far the box and lid walls stand out on the side the rods run on. Unless it is given,
+        // the whole box width, as for a hinge fitted inside the box; 0 leaves the rods unchecked.
+        this.wallHeight = Number.isFinite(advancedSettings.wallHeight) ? advancedSettings.wallHeight : this.boxWidth || 0;
 
         // Link dimensions
         this.linkWidth = advancedSettings.linkWidth || 3.5;        // Width of link arms
@@ -49,6 +58,29 @@ class STLGenerator {
         this.armExtension = this.armWidth;     // Extra length to ensure arms reach into box
     }
     
+    // Physical sizes of the printed parts, converted back to the geometry's units,
+    // for BoxGeometry.getLinkageParts()
+    getHardware() {
+        const scale = 1 / this.scaleFactor;
+        return {
+            shortPinDiameter: this.shortPinDiameter * scale,
+            shortPinHeight: this.shortPinHeight * scale,
+            pinRidgeHeight: this.pinRidgeHeight * scale,
+            tallPinBaseDiameter: this.tallPinBaseDiameter * scale,
+            tallPinBaseHeight: this.tallPinBaseHeight * scale,
+            tallPinTopDiameter: this.tallPinTopDiameter * scale,
+            tallPinTopHeight: this.tallPinTopHeight * scale,
+            linkWidth: this.linkWidth * scale,
+            linkThickness: this.linkThickness * scale,
+            rimDiameter: this.rimDiameter * scale,
+            holeDiameter: this.holeDiameter * scale,
+            wallThickness: this.boxThickness * scale,
+            wallHeight: this.wallHeight * scale,
+            boxWidth: this.boxWidth * scale,
+            mmPerUnit: this.scaleFactor
+        };
+    }
+    
     // Helper to get scale factor based on units
     getScaleFactor(units) {
         switch(units) {
@@ -86,9 +118,23 @@ class STLGenerator {
             blueOpenPoint: this.scalePoint(originalGeometry.blueOpenPoint),
             
             // Copy methods that we need
+            profile: originalGeometry.profile ? {
+                box: this.scaleVertices(originalGeometry.profile.box),
+                lid: this.scaleVertices(originalGeometry.profile.lid)
+            } : null,
+            cornerFinishes: originalGeometry.cornerFinishes,
+            wallThickness: originalGeometry.wallThickness ? originalGeometry.wallThickness * this.scaleFactor : null,
+            openRestAngle: originalGeometry.openRestAngle,
+            openOffset: originalGeometry.openOffset,
+            
             getBoxVertices: () => this.scaleVertices(originalGeometry.getBoxVertices()),
             getClosedLidVertices: () => this.scaleVertices(originalGeometry.getClosedLidVertices()),
             getOpenLidVertices: () => this.scaleVertices(originalGeometry.getOpenLidVertices()),
+            getBoxShellVertices: () => this.scaleVertices(originalGeometry.getBoxShellVertices()),
+            getClosedLidShellVertices: () => this.scaleVertices(originalGeometry.getClosedLidShellVertices()),
+            // Scale-free, so the original's works on scaled outlines too
+            getWallOutline: (vertices, otherVertices, thickness) =>
+                originalGeometry.getWallOutline(vertices, otherVertices, thickness),
             getCenterOfRotation: () => this.scalePoint(originalGeometry.getCenterOfRotation())
         };
         
@@ -110,9 +156,12 @@ class STLGenerator {
         return vertices.map(vertex => this.scalePoint(vertex));
     }
 
-    async generateZip() {
+    // Build the zip of all parts. Pass the design URL to record it in the info file
+    // (defaults to the page's), and type 'nodebuffer' when running under Node.
+    async generateZip(url = STLGenerator.getPageUrl(), type = 'blob') {
         try {
-            const zip = new JSZip();
+            const ZipClass = typeof JSZip !== 'undefined' ? JSZip : require('jszip');
+            const zip = new ZipClass();
             
             // Generate all STLs
             const box2DResult = await this.generate2DBoxSTL();
@@ -128,24 +177,30 @@ class STLGenerator {
             const folder2D = zip.folder("2D-model");
             const folder3D = zip.folder("3D-model");
             
-            // Add to zip - extract the STL blobs from the returned objects
-            folder2D.file("box2D.stl", box2DResult.stl);
-            folder2D.file("lid2D.stl", lid2DResult.stl);
-            folder2D.file("linkTop.stl", linkTopStl.stl);
-            folder2D.file("linkBottom.stl", linkBottomStl.stl);
-            folder3D.file("box3D.stl", box3DResult.stl);
-            folder3D.file("lid3D.stl", lid3DResult.stl);
-            folder3D.file("linkTop1.stl", linkTopStl.stl);
-            folder3D.file("linkTop2.stl", linkTopStl.stl);
-            folder3D.file("linkBottom1.stl", linkBottomStl.stl);
-            folder3D.file("linkBottom2.stl", linkBottomStl.stl);
+            // Read the STL blobs back into buffers, which JSZip can take without a FileReader
+            const [box2D, lid2D, linkTop, linkBottom, box3D, lid3D] = await Promise.all(
+                [box2DResult, lid2DResult, linkTopStl, linkBottomStl, box3DResult, lid3DResult]
+                    .map(result => result.stl.arrayBuffer())
+            );
+            
+            // Add to zip
+            folder2D.file("box2D.stl", box2D);
+            folder2D.file("lid2D.stl", lid2D);
+            folder2D.file("linkTop.stl", linkTop);
+            folder2D.file("linkBottom.stl", linkBottom);
+            folder3D.file("box3D.stl", box3D);
+            folder3D.file("lid3D.stl", lid3D);
+            folder3D.file("linkTop1.stl", linkTop);
+            folder3D.file("linkTop2.stl", linkTop);
+            folder3D.file("linkBottom1.stl", linkBottom);
+            folder3D.file("linkBottom2.stl", linkBottom);
             
             // Generate info text file
-            const infoText = this.generateInfoText();
+            const infoText = this.generateInfoText(url);
             zip.file("hinge-info.txt", infoText);
             
             // Generate and return zip
-            const content = await zip.generateAsync({type: "blob"});
+            const content = await zip.generateAsync({type});
             return content;
         } catch (error) {
             console.error("Error in generateZip:", error);
@@ -157,9 +212,9 @@ class STLGenerator {
         try {
             const { primitives, transforms, booleans, extrusions, geometries } = this.modeling;
             
-            // Get box vertices and create 2D shape
+            // Get box vertices and create 2D shape, just the walls if the box is hollow
             const vertices = this.geometry.getBoxVertices();
-            const points = vertices.map(v => [v.x, v.y]);
+            const points = this.geometry.getBoxShellVertices().map(v => [v.x, v.y]);
             const polygon = geometries.geom2.fromPoints(points);
             
             // Extrude to thickness
@@ -298,12 +353,12 @@ class STLGenerator {
         try {
             const { primitives, transforms, booleans, extrusions, geometries } = this.modeling;
             
-            // Get lid vertices and create 2D shape
-            const vertices = this.geometry.getClosedLidVertices();
-            
-            // Reverse the vertex order to fix inverted normals
-            const reversedVertices = [...vertices].reverse();
-            const points = reversedVertices.map(v => [v.x, v.y]);
+            // Get lid vertices and create 2D shape. Wall outlines of a hollow lid already run
+            // counter-clockwise; otherwise reverse the vertex order to fix inverted normals
+            const vertices = this.geometry.wallThickness
+                ? this.geometry.getClosedLidShellVertices()
+                : [...this.geometry.getClosedLidVertices()].reverse();
+            const points = vertices.map(v => [v.x, v.y]);
             
             // Create the 2D polygon and extrude
             const polygon = geometries.geom2.fromPoints(points);
@@ -465,11 +520,13 @@ class STLGenerator {
         }
     }
     
-    // Generate information text file
-    generateInfoText() {
-        // Get current URL
-        const url = window.location.href;
-        
+    // The page's own URL, which holds the design, or an empty string outside a browser
+    static getPageUrl() {
+        return typeof window !== 'undefined' ? window.location.href : '';
+    }
+    
+    // Generate information text file for the design at the given URL
+    generateInfoText(url = STLGenerator.getPageUrl()) {
         // Get current date and time with timezone
         const now = new Date();
         const dateStr = now.toISOString().replace('T', ' ').substring(0, 19) + " UTC";
@@ -498,21 +555,8 @@ class STLGenerator {
         // Get units (default to mm if not available)
         const units = this.units || "mm";
         
-        // Extract alpha angle from URL
-        let alphaAngle = 0;
-        try {
-            // Get alpha from URL parameters
-            const urlParams = new URLSearchParams(window.location.search);
-            alphaAngle = parseFloat(urlParams.get('alpha') || 0);
-            // Convert to degrees if it's in radians (typically less than 6.28)
-            if (alphaAngle < 6.28) {
-                alphaAngle = alphaAngle * 180 / Math.PI;
-            }
-        } catch (error) {
-            console.warn("Could not parse alpha angle from URL", error);
-            // Fallback to geometry object
-            alphaAngle = geometry.closedAngle ? (geometry.closedAngle * 180 / Math.PI) : 0;
-        }
+        // Alpha comes from the geometry, which already holds it in radians
+        const alphaAngle = geometry.closedAngle * 180 / Math.PI;
         
         text += "BOX PARAMETERS\n";
         text += "--------------\n";
@@ -521,7 +565,26 @@ class STLGenerator {
         text += `Depth: ${geometry.depth} ${units}\n`;
         const degreeSymbol = "\u00B0";
         text += `Alpha: ${this.formatNumber(alphaAngle)}${degreeSymbol}\n`;
-        text += `Gap: ${geometry.gap} ${units}\n\n`;
+        text += `Gap: ${geometry.gap} ${units}\n`;
+        text += `Open rest angle: ${this.formatNumber(geometry.openRestAngle * 180 / Math.PI)}${degreeSymbol}, offset (${this.formatNumber(geometry.openOffset.x)}, ${this.formatNumber(geometry.openOffset.y)}) ${units}\n\n`;
+        
+        // A custom profile replaces the straight cut that alpha and depth describe
+        if (geometry.profile) {
+            const formatPolygon = (vertices) => vertices.map(vertex => this.unscalePoint(vertex)).map(vertex =>
+                `(${this.formatNumber(vertex.x)}, ${this.formatNumber(vertex.y)})`).join(' ');
+            text += "CUSTOM PROFILE\n";
+            text += "--------------\n";
+            text += `Box (${units}): ${formatPolygon(geometry.profile.box)}\n`;
+            text += `Lid (${units}): ${formatPolygon(geometry.profile.lid)}\n\n`;
+        }
+        
+        const finishedCorners = ['box', 'lid'].flatMap(part => Object.entries(geometry.cornerFinishes[part])
+            .map(([index, finish]) => `${part === 'box' ? 'Box' : 'Lid'} corner ${index}: ${finish.type} ${this.formatNumber(finish.size)} ${units}\n`));
+        if (finishedCorners.length > 0) {
+            text += "CORNER FINISHES\n";
+            text += "---------------\n";
+            text += finishedCorners.join('') + "\n";
+        }
         
         text += "PIVOT POINTS\n";
         text += "------------\n";
@@ -731,106 +794,15 @@ class STLGenerator {
     
     // Function to get 3D box vertices
     get3DBoxVertices() {
-        const height = this.geometry.height;
-        const width = this.geometry.width;
-        const depth = this.geometry.depth;
-        const closedAngle = this.geometry.closedAngle;
-        const thickness = this.boxThickness;
-        const criticalAngle = Math.atan2(height, depth);        
-        
-        let vertices; 
-
-        if (closedAngle <= criticalAngle) {
-            //    depth
-            // A -- B -------------------- F
-            // |   /                       |
-            // | /                         |  height
-            // C                           |
-            // |                           |
-            // D ------------------------- E
-            //             width
-            vertices = [
-                {x: 0, y: height - depth * Math.tan(closedAngle)},      // C
-                {x: 0, y: 0},                                           // D
-                {x: width, y: 0},                                       // E
-                {x: width, y: height},                                  // F
-                {x: depth, y: height},                                  // B
-                {x: depth - thickness / Math.tan(closedAngle), y: height - thickness},  // B'
-                {x: width-thickness, y: height-thickness},              // F'
-                {x: width-thickness, y: thickness},                     // E'
-                {x: thickness, y: thickness},                           // D' 
-                {x: thickness, y: height - depth * Math.tan(closedAngle) + thickness * Math.tan(closedAngle)}, // C'
-                {x: 0, y: height - depth * Math.tan(closedAngle)}      // C
-            ];
-        } else {
-            // A ------- B --------------- F
-            // |        /                  |
-            // |       /                   |
-            // |      /                    |
-            // |     /                     |
-            // D -- C -------------------- E
-            vertices = [
-                {x: depth - height / Math.tan(closedAngle), y: 0},      // A
-                {x: width, y: 0},                                       // B
-                {x: width, y: height},                                  // C
-                {x: depth, y: height},                                  // D
-                {x: depth - thickness / Math.tan(closedAngle), y: height - thickness}, // D'
-                {x: width - thickness, y: height - thickness},          // C'
-                {x: width - thickness, y: thickness},                   // B'
-                {x: depth - height / Math.tan(closedAngle) +thickness / Math.tan(closedAngle), y: thickness}, // A'
-                {x: depth - height / Math.tan(closedAngle), y: 0}       // A
-            ];
-        }
-
-        // console.log("3D Box Vertices:", vertices);
-        return vertices;
+        return this.geometry.getWallOutline(
+            this.geometry.getBoxVertices(), this.geometry.getClosedLidVertices(), this.boxThickness);
     }
     
     // Function to get 3D lid vertices
     get3DLidVertices() {
-        const height = this.geometry.height;
-        const depth = this.geometry.depth;
-        const closedAngle = this.geometry.closedAngle;
-        const thickness = this.lidThickness;
-        const criticalAngle = Math.atan2(height, depth);
-        
-        let vertices;
-        if (closedAngle <= criticalAngle) {
-            // A -- B -------------------- F
-            // |   /                       |
-            // | /                         |
-            // C                           |
-            // |                           |
-            // D ------------------------- E
-            vertices = [
-                {x: depth, y: height},                                  // B
-                {x: 0, y: height},                                      // A
-                {x: 0, y: height - depth * Math.tan(closedAngle)},      // C
-                {x: thickness, y: height - depth * Math.tan(closedAngle) + thickness * Math.tan(closedAngle)},  // C'
-                {x: thickness, y: height-thickness},                     // A'
-                {x: depth - thickness / Math.tan(closedAngle), y: height - thickness},                     // B'
-                {x: depth, y: height}                                   // B
-            ];
-        } else {
-            // A ------- B --------------- F
-            // |        /                  |
-            // |       /                   |
-            // |      /                    |
-            // |     /                     |
-            // D -- C -------------------- E
-            vertices = [
-                {x: depth, y: height},                              // B
-                {x: 0, y: height},                                  // A
-                {x: 0, y: 0},                                       // D
-                {x: depth - height / Math.tan(closedAngle), y: 0},  // C
-                {x: depth - height / Math.tan(closedAngle) + thickness / Math.tan(closedAngle), y: thickness},   // C'
-                {x: thickness, y: thickness},                       // D'
-                {x: thickness, y: height - thickness},              // A'
-                {x: depth - thickness / Math.tan(closedAngle), y: height - thickness}, // B'
-                {x: depth, y: height}                               // B, closing the polygon
-            ];
-        }
-        // console.log("3D Lid Vertices:", vertices);
-        return vertices;
+        return this.geometry.getWallOutline(
+            this.geometry.getClosedLidVertices(), this.geometry.getBoxVertices(), this.lidThickness);
     }
 }
+
+if (typeof module !== 'undefined') module.exports = { STLGenerator };
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// Parameter sweep: builds the same hinge across a family of box sizes and tabulates how each one does.
+// Every member gets the base design's pivots re-fitted to its size (BoxGeometry.fitPivotsFrom) and is
+// checked the same way cli.js checks a single design.
+//
+//   node sweep.js "https://grimmett.io/hinge-generator/?height=30.000&..." --height 30:60:10 --alpha 70,75,80
+//   node sweep.js design.json --width 40:80:20 --format json --files
+//
+// Exits with 0 if every member is valid, 2 if any has problems, and 1 on bad input.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { BoxGeometry } = require('./geometry.js');
+const { STLGenerator } = require('./stl-generator.js');
+const {
+    UsageError,
+    COMMON_OPTIONS,
+    readCommonOptions,
+    readDesignParams,
+    loadDesign,
+    buildReport,
+    writeDesignFiles
+} = require('./cli.js');
+
+const USAGE = `Usage: node sweep.js <base design URL | query string | design.json> [ranges] [options]
+
+Ranges (each a single value, a list "30,40,50" or start:end:step "30:60:10"; default is the base design's):
+  --height, --width, --depth, --gap   In the design's units
+  --alpha                             Lid angle in degrees
+A base design with a custom profile has it stretched to each height and width; --depth and --alpha don't apply.
+Rounded and chamfered corners, the wall thickness and a balancer's points stay the same in every member.
+
+Options:
+  --format <csv|json>             Table format (default csv)
+  --files                         Also write the PDF template and STL zip for every valid member
+  --units, --out, the gravity, strength and tolerance checks and the STL settings work as in cli.js
+  --help`;
+
+const DIMENSIONS = ['height', 'width', 'depth', 'alpha', 'gap'];
+
+// Columns of the output table, in order
+const COLUMNS = [
+    'height', 'width', 'depth', 'alpha', 'gap',
+    'valid', 'problems', 'reachable', 'hasCollision', 'maxPenetrationDepth', 'minClearance', 'pinClearance',
+    'worstTransmissionAngle', 'lidBehaviour', 'tipsOver', 'minSafetyFactor', 'impactTipSpeed',
+    'toleranceCollisionRate', 'toleranceUnreachableRate', 'redRodLength', 'blueRodLength',
+    'redBoxX', 'redBoxY', 'blueBoxX', 'blueBoxY', 'redClosedX', 'redClosedY', 'blueClosedX', 'blueClosedY',
+    'query'
+];
+
+// Parse "30", "30,40,50" or "30:60:10" into a list of values
+function parseRange(name, text) {
+    const number = (part) => {
+        const value = parseFloat(part);
+        if (isNaN(value)) throw new UsageError(`--${name} has "${part}", which is not a number`);
+        return value;
+    };
+
+    if (!text.includes(':')) {
+        return text.split(',').map(number);
+    }
+
+    const [start, end, step] = text.split(':').map(number);
+    if (step === undefined || step <= 0 || end < start) {
+        throw new UsageError(`--${name} must be start:end:step with end >= start and step > 0`);
+    }
+    const values = [];
+    // Allow for rounding so the end value is included
+    for (let i = 0; start + i * step <= end + step * 1e-9; i++) {
+        values.push(+(start + i * step).toFixed(9));
+    }
+    return values;
+}
+
+// Every combination of the given values, as {height, width, depth, alpha, gap}
+function getCombinations(ranges) {
+    return DIMENSIONS.reduce((combinations, name) =>
+        combinations.flatMap(combination => ranges[name].map(value => ({ ...combination, [name]: value }))),
+    [{}]);
+}
+
+// The query string the page would save for a design, so a member can be opened in the browser
+function getDesignQuery(geometry) {
+    const params = new URLSearchParams();
+    params.set('height', geometry.height.toFixed(3));
+    params.set('width', geometry.width.toFixed(3));
+    params.set('depth', geometry.depth.toFixed(3));
+    params.set('alpha', geometry.closedAngle.toFixed(3));
+    params.set('gap', geometry.gap.toFixed(3));
+    params.set('rcx', geometry.redClosedPoint.x.toFixed(3));
+    params.set('rcy', geometry.redClosedPoint.y.toFixed(3));
+    params.set('bcx', geometry.blueClosedPoint.x.toFixed(3));
+    params.set('bcy', geometry.blueClosedPoint.y.toFixed(3));
+    params.set('rbd', geometry.getBoxPointDistance('red').toFixed(3));
+    params.set('bbd', geometry.getBoxPointDistance('blue').toFixed(3));
+    if (geometry.useAlternateAssembly) {
+        params.set('asm', 'alt');
+    }
+    if (geometry.wallThickness) {
+        params.set('wt', geometry.wallThickness.toFixed(3));
+    }
+    if (Math.abs(geometry.openRestAngle - Math.PI) > 1e-9 || geometry.openOffset.x !== 0 || geometry.openOffset.y !== 0) {
+        params.set('oa', (geometry.openRestAngle * 180 / Math.PI).toFixed(3));
+        params.set('ox', geometry.openOffset.x.toFixed(3));
+        params.set('oy', geometry.openOffset.y.toFixed(3));
+    }
+    if (geometry.profile) {
+        const format = (points) => points.map(point => `${point.x.toFixed(3)},${point.y.toFixed(3)}`).join(';');
+        params.set('bp', format(geometry.profile.box));
+        params.set('lp', format(geometry.profile.lid));
+    }
+    if (geometry.balancer) {
+        const { type, part, anchor, attachment } = geometry.balancer;
+        params.set('bal', `${type}:${part}`);
+        if (anchor) {
+            params.set('bala', `${anchor.x.toFixed(3)},${anchor.y.toFixed(3)}`);
+        }
+        params.set('balt', `${attachment.x.toFixed(3)},${attachment.y.toFixed(3)}`);
+    }
+    for (const [part, name] of [['box', 'bc'], ['lid', 'lc']]) {
+        const finishes = Object.entries(geometry.cornerFinishes[part]);
+        if (finishes.length > 0) {
+            params.set(name, finishes.map(([index, finish]) => `${index}:${finish.type}:${finish.size}`).join(';'));
+        }
+    }
+    return `?${params.toString()}`;
+}
+
+// The base design's custom profile stretched to the given height and width
+function getScaledProfile(base, { height, width }) {
+    const scale = (point) => ({ x: point.x * width / base.width, y: point.y * height / base.height });
+    return {
+        box: base.profile.box.map(scale),
+        lid: base.profile.lid.map(scale)
+    };
+}
+
+function getRow(dimensions, geometry, report) {
+    const { pivots, rodLengths } = report.design;
+    return {
+        ...dimensions,
+        valid: report.valid,
+        problems: [...new Set(report.problems.map(problem => problem.code))].join(';'),
+        reachable: report.motion.reachable,
+        hasCollision: report.motion.hasCollision,
+        maxPenetrationDepth: report.motion.maxPenetrationDepth,
+        minClearance: report.motion.minClearance,
+        pinClearance: report.interference.minClearance,
+        worstTransmissionAngle: report.motion.transmissionAngle.worst,
+        lidBehaviour: report.statics.behaviour,
+        tipsOver: report.statics.tipsOver,
+        minSafetyFactor: Math.min(...report.strength.checks.map(check => check.safetyFactor ?? Infinity)),
+        impactTipSpeed: report.fall && report.fall.impactTipSpeed,
+        toleranceCollisionRate: report.tolerance && report.tolerance.collisionRate,
+        toleranceUnreachableRate: report.tolerance && report.tolerance.unreachableRate,
+        redRodLength: rodLengths.red,
+        blueRodLength: rodLengths.blue,
+        redBoxX: pivots.redBox.x,
+        redBoxY: pivots.redBox.y,
+        blueBoxX: pivots.blueBox.x,
+        blueBoxY: pivots.blueBox.y,
+        redClosedX: pivots.redClosed.x,
+        redClosedY: pivots.redClosed.y,
+        blueClosedX: pivots.blueClosed.x,
+        blueClosedY: pivots.blueClosed.y,
+        query: getDesignQuery(geometry)
+    };
+}
+
+function toCsv(rows) {
+    const format = (value) => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return +value.toFixed(4);
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(column => format(row[column])).join(','))].join('\n') + '\n';
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            ...COMMON_OPTIONS,
+            ...Object.fromEntries(DIMENSIONS.map(name => [name, { type: 'string' }])),
+            format: { type: 'string', default: 'csv' },
+            files: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError('Give exactly one base design URL or JSON file');
+    }
+    if (!['csv', 'json'].includes(values.format)) {
+        throw new UsageError(`Format must be csv or json, got "${values.format}"`);
+    }
+    const { units, settings, ...checks } = readCommonOptions(values);
+
+    const base = loadDesign(readDesignParams(positionals[0]));
+    const ranges = {
+        height: [base.height],
+        width: [base.width],
+        depth: [base.depth],
+        alpha: [+(base.closedAngle * 180 / Math.PI).toFixed(3)],
+        gap: [base.gap]
+    };
+    for (const name of DIMENSIONS) {
+        if (values[name] !== undefined) {
+            ranges[name] = parseRange(name, values[name]);
+        }
+    }
+    if (base.profile && (values.depth !== undefined || values.alpha !== undefined)) {
+        throw new UsageError('--depth and --alpha have no effect on a design with a custom profile');
+    }
+
+    fs.mkdirSync(values.out, { recursive: true });
+    const combinations = getCombinations(ranges);
+    const rows = [];
+
+    for (const [index, dimensions] of combinations.entries()) {
+        const geometry = new BoxGeometry(dimensions.height, dimensions.width, dimensions.depth, dimensions.alpha, dimensions.gap);
+        geometry.cornerFinishes = base.cornerFinishes;
+        geometry.wallThickness = base.wallThickness;
+        geometry.balancer = base.balancer;
+        if (base.profile) {
+            geometry.setProfile(getScaledProfile(base, dimensions));
+        }
+        geometry.setOpenPose(base.openRestAngle, base.openOffset);
+        geometry.fitPivotsFrom(base);
+        geometry.initializeFourBar();
+
+        const generator = new STLGenerator(geometry, units, settings);
+        const report = buildReport(geometry, generator, checks);
+        const row = getRow(dimensions, geometry, report);
+        rows.push(row);
+
+        const name = `h${dimensions.height}-w${dimensions.width}-d${dimensions.depth}-a${dimensions.alpha}-g${dimensions.gap}`;
+        console.log(`[${index + 1}/${combinations.length}] ${name}: ${report.valid ? 'valid' : row.problems}`);
+
+        if (values.files && report.valid) {
+            await writeDesignFiles(geometry, generator, path.join(values.out, name), row.query);
+        }
+    }
+
+    const tableFile = path.join(values.out, `sweep.${values.format}`);
+    fs.writeFileSync(tableFile, values.format === 'csv' ? toCsv(rows) : JSON.stringify(rows, null, 2) + '\n');
+
+    const validCount = rows.filter(row => row.valid).length;
+    console.log(`Wrote ${tableFile}: ${validCount} of ${rows.length} designs valid`);
+
+    return validCount === rows.length ? 0 : 2;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')
+            ? `${error.message}\n\n${USAGE}`
+            : error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseRange, getCombinations, getDesignQuery, getScaledProfile, main };
@@ -0,0 +1,313 @@
+// PDF template generator: the pivot positions and rod lengths to scale, for building the hinge
+class TemplateGenerator {
+    constructor(boxGeometry, units = 'cm') {
+        this.geometry = boxGeometry;
+        this.units = units;  // Units the geometry is in: 'mm', 'cm' or 'in'
+    }
+    
+    // Build the template as a jsPDF document; call save() on it in the browser or output() under Node
+    generatePdf() {
+        const bounds = this.geometry.getTemplateBounds();
+        
+        // Conversion factors for PDF (which uses cm)
+        const unitConversions = {
+            mm: { toUnit: 0.1, label: 'mm', scaleLength: 100 },    // divide by 10 to convert mm to cm
+            cm: { toUnit: 1, label: 'cm', scaleLength: 10 },       // no conversion needed
+            in: { toUnit: 2.54, label: 'in', scaleLength: 3 }      // multiply by 2.54 to convert inches to cm
+        };
+        const unitConv = unitConversions[this.units];
+        
+        // Create initial PDF (we'll set size per page), using the page's jsPDF or the npm package under Node
+        const { jsPDF } = typeof window !== 'undefined' && window.jspdf ? window.jspdf : require('jspdf');
+        const margin = 0.5;  // 0.5cm margin
+        
+        // Initialize PDF with a temporary size - we'll add properly sized pages
+        const pdf = new jsPDF('p', 'cm', [21, 29.7]);  // A4 portrait as initial size
+        
+        // Helper functions for drawing
+        const drawBoxOutline = (transform) => {
+            pdf.setDrawColor(40);  // Dark gray instead of pure black
+            pdf.setLineWidth(0.015);  // Slightly thicker lines
+            
+            const boxVertices = this.geometry.getBoxShellVertices();  // Inner outline too, if hollow
+            for (let i = 0; i < boxVertices.length; i++) {
+                const p1 = boxVertices[i];
+                const p2 = boxVertices[(i + 1) % boxVertices.length];
+                
+                const tp1 = transform(p1);
+                const tp2 = transform(p2);
+                pdf.line(tp1.x, tp1.y, tp2.x, tp2.y);
+            }
+        };
+        
+        const drawClosedLidOutline = (transform) => {
+            pdf.setDrawColor(120);  // Lighter gray for lid
+            pdf.setLineWidth(0.015);  // Match box line weight
+            pdf.setLineDashPattern([0.05, 0.05], 0);  // Dotted line for lid
+            
+            const lidVertices = this.geometry.getClosedLidShellVertices();
+            for (let i = 0; i < lidVertices.length; i++) {
+                const p1 = lidVertices[i];
+                const p2 = lidVertices[(i + 1) % lidVertices.length];
+                
+                const tp1 = transform(p1);
+                const tp2 = transform(p2);
+                pdf.line(tp1.x, tp1.y, tp2.x, tp2.y);
+            }
+            pdf.setLineDashPattern([], 0);  // Reset dash
+        };
+        
+        const drawPivotPoints = (transform) => {
+            const points = [
+                { point: this.geometry.redBoxPoint, color: '#E63946' },  // Warmer red
+                { point: this.geometry.blueBoxPoint, color: '#457B9D' }, // Muted blue
+                { point: this.geometry.redClosedPoint, color: '#E63946' },
+                { point: this.geometry.blueClosedPoint, color: '#457B9D' }
+            ];
+            
+            const radius = 0.08;  // Slightly smaller points
+            pdf.setLineWidth(0.01);
+            for (const {point, color} of points) {
+                const p = transform(point);
+                pdf.setFillColor(color);
+                pdf.circle(p.x, p.y, radius, 'F');
+                // Add subtle border
+                pdf.setDrawColor(40);
+                pdf.circle(p.x, p.y, radius, 'S');
+            }
+        };
+        
+        // Spring or gas strut anchor and attachment point, or where the counterweight goes, in the closed pose
+        const drawBalancerPoints = (transform) => {
+            const balancer = this.geometry.balancer;
+            if (!balancer) return;
+            
+            pdf.setDrawColor('#2A9D8F');
+            pdf.setLineWidth(0.01);
+            if (balancer.anchor) {
+                const anchor = transform(balancer.anchor);
+                const attachment = transform(balancer.attachment);
+                pdf.setLineDashPattern([0.1, 0.05], 0);
+                pdf.line(anchor.x, anchor.y, attachment.x, attachment.y);
+                pdf.setLineDashPattern([], 0);
+            }
+            for (const point of [balancer.anchor, balancer.attachment].filter(Boolean)) {
+                const p = transform(point);
+                pdf.setFillColor('#2A9D8F');
+                pdf.circle(p.x, p.y, 0.08, 'F');
+                pdf.setDrawColor(40);
+                pdf.circle(p.x, p.y, 0.08, 'S');
+                pdf.setDrawColor('#2A9D8F');
+            }
+        };
+        
+        const drawConnectionLines = (transform, withLabels = true, fontSize = 8) => {
+            const drawConnection = (boxPoint, lidPoint, color) => {
+                const tp1 = transform(boxPoint);
+                const tp2 = transform(lidPoint);
+                
+                pdf.lineWidth = 3;
+                pdf.setDrawColor(color === '#E63946' ? '#E63946' : color === '#457B9D' ? '#457B9D' : color);
+                pdf.line(tp1.x, tp1.y, tp2.x, tp2.y);
+                
+                // Calculate length in model units
+                const length = Math.sqrt(
+                    Math.pow(boxPoint.x - lidPoint.x, 2) + 
+                    Math.pow(boxPoint.y - lidPoint.y, 2)
+                );
+
+                // Position text at midpoint of line
+                const midX = (tp1.x + tp2.x) / 2;
+                const midY = (tp1.y + tp2.y) / 2;
+                
+                // Draw length label using current unit system
+                pdf.setFontSize(fontSize);
+                pdf.setTextColor(40);
+                pdf.text(`${(length).toFixed(1)}${unitConv.label}`, midX, midY);
+            };
+            
+            // Draw lines between red and blue pivot points
+            drawConnection(this.geometry.redBoxPoint, this.geometry.redClosedPoint, '#E63946');
+            drawConnection(this.geometry.blueBoxPoint, this.geometry.blueClosedPoint, '#457B9D');
+            
+            pdf.lineWidth = 1;
+            pdf.setTextColor(40);  // Reset text color
+        };
+        
+        const drawScaleLine = (pageWidth, pageHeight, fontSize = 8) => {
+            // Calculate scale length to fit within the page width
+            const maxScaleLength = pageWidth - 2 * margin;
+            let scaleLength = unitConv.scaleLength;
+            let scaleLengthCm = scaleLength * unitConv.toUnit;
+            
+            while (scaleLengthCm > maxScaleLength && scaleLength > 1) {
+                scaleLength = Math.floor(scaleLength / 2);
+                scaleLengthCm = scaleLength * unitConv.toUnit;
+            }
+            
+            const scaleStartX = margin;
+            const scaleLineY = pageHeight - margin;
+            const scaleEndX = scaleStartX + scaleLengthCm;
+            
+            // Draw scale line with modern style
+            pdf.setDrawColor(40);
+            pdf.setLineWidth(0.02);
+            pdf.line(scaleStartX, scaleLineY, scaleEndX, scaleLineY);
+            
+            // End ticks with subtle extension
+            const tickHeight = 0.15;
+            pdf.setLineWidth(0.015);
+            pdf.line(scaleStartX, scaleLineY - tickHeight/2, scaleStartX, scaleLineY + tickHeight/2);
+            pdf.line(scaleEndX, scaleLineY - tickHeight/2, scaleEndX, scaleLineY + tickHeight/2);
+            
+            // Scale label with background
+            pdf.setFontSize(fontSize);
+            const text = `${scaleLength}${unitConv.label}`;
+            const textWidth = pdf.getTextWidth(text);
+            const padding = 0.1;
+            
+            const textX = (scaleStartX + scaleEndX) / 2 - textWidth/2;
+            const textY = scaleLineY + 0.3;
+            
+            // White background for better readability
+            pdf.setFillColor(255);
+            pdf.rect(textX - padding, textY - fontSize/72*2.54, 
+                    textWidth + padding*2, fontSize/72*2.54 + padding*2, 'F');
+            
+            pdf.setTextColor(40);
+            pdf.text(text, textX, textY);
+        };
+        
+        // Page 1: Template with pivot points - size based on template bounds
+        const page1Width = bounds.maxX * unitConv.toUnit - bounds.minX * unitConv.toUnit + 2 * margin;
+        const page1Height = bounds.maxY * unitConv.toUnit - bounds.minY * unitConv.toUnit + 2 * margin;
+        const page1Orientation = page1Width > page1Height ? 'l' : 'p';
+        
+        // Calculate font size based on page dimensions
+        const page1FontSize = Math.min(8, Math.max(6, Math.min(page1Width, page1Height) / 10));
+        
+        // Remove the default first page and add our custom sized one
+        pdf.deletePage(1);
+        pdf.addPage([Math.max(page1Width, page1Height), Math.min(page1Width, page1Height)], page1Orientation);
+        
+        // Transform for page 1 (template view)
+        const transformTemplate = (point) => ({
+            x: point.x * unitConv.toUnit - bounds.minX * unitConv.toUnit + margin,
+            y: bounds.maxY * unitConv.toUnit - point.y * unitConv.toUnit + margin
+        });
+        
+        drawBoxOutline(transformTemplate);
+        drawClosedLidOutline(transformTemplate);
+        drawPivotPoints(transformTemplate);
+        drawBalancerPoints(transformTemplate);
+        drawConnectionLines(transformTemplate, true, page1FontSize);
+        drawScaleLine(page1Width, page1Height, page1FontSize);
+        
+        // Page 2: Text information - size based on text content
+        const textMargin = 1;  // Larger margin for text page
+        const lineHeight = 0.5;  // Height between lines
+        const textWidth = 8;  // Width needed for text content
+        const textHeight = this.geometry.balancer ? 5 : 4;  // Height needed for text content
+        const page2Width = textWidth + 2 * textMargin;
+        const page2Height = textHeight + 2 * textMargin;
+        const page2Orientation = page2Width > page2Height ? 'l' : 'p';
+        
+        pdf.addPage([Math.max(page2Width, page2Height), Math.min(page2Width, page2Height)], page2Orientation);
+        
+        pdf.setFontSize(10);
+        const redLength = Math.sqrt(
+            Math.pow(this.geometry.redClosedPoint.x - this.geometry.redBoxPoint.x, 2) +
+            Math.pow(this.geometry.redClosedPoint.y - this.geometry.redBoxPoint.y, 2)
+        );
+        const blueLength = Math.sqrt(
+            Math.pow(this.geometry.blueClosedPoint.x - this.geometry.blueBoxPoint.x, 2) +
+            Math.pow(this.geometry.blueClosedPoint.y - this.geometry.blueBoxPoint.y, 2)
+        );
+        
+        pdf.text(`Box dimensions: ${this.geometry.width.toFixed(1)}${unitConv.label} wide \u00D7 ${this.geometry.height.toFixed(1)}${unitConv.label} tall`, textMargin, textMargin);
+        if (this.geometry.profile) {
+            pdf.text(`Custom profile, lid depth: ${this.geometry.depth.toFixed(1)}${unitConv.label}`, textMargin, textMargin + lineHeight);
+        } else {
+            pdf.text(`Lid angle: ${Math.round(this.geometry.closedAngle * 180 / Math.PI)}\u00B0, depth: ${this.geometry.depth.toFixed(1)}${unitConv.label}`, textMargin, textMargin + lineHeight);
+        }
+        pdf.text(`Gap when open: ${this.geometry.gap.toFixed(1)}${unitConv.label}`, textMargin, textMargin + lineHeight * 2);
+        const { openRestAngle, openOffset } = this.geometry;
+        if (Math.abs(openRestAngle - Math.PI) > 1e-9 || openOffset.x !== 0 || openOffset.y !== 0) {
+            pdf.text(`Open rest angle: ${Math.round(openRestAngle * 180 / Math.PI)}\u00B0, offset (${openOffset.x.toFixed(1)}, ${openOffset.y.toFixed(1)})${unitConv.label}`, textMargin, textMargin + lineHeight * 3);
+        }
+        pdf.text(`Rod lengths:`, textMargin, textMargin + lineHeight * 4);
+        pdf.setTextColor('#ff0000');
+        pdf.text(`  Red: ${redLength.toFixed(1)}${unitConv.label}`, textMargin + 1, textMargin + lineHeight * 5);
+        pdf.setTextColor('#0000ff');
+        pdf.text(`  Blue: ${blueLength.toFixed(1)}${unitConv.label}`, textMargin + 1, textMargin + lineHeight * 6);
+        pdf.setTextColor(0);
+        
+        const balancer = this.geometry.balancer;
+        if (balancer) {
+            const name = { spring: 'Spring', 'gas-strut': 'Gas strut', counterweight: 'Counterweight' }[balancer.type];
+            const part = balancer.part === 'lid' ? 'lid' : `${balancer.part} rod`;
+            const at = (point) => `(${point.x.toFixed(1)}, ${point.y.toFixed(1)})${unitConv.label}`;
+            pdf.setTextColor('#2A9D8F');
+            pdf.text(`${name} on the ${part} at ${at(balancer.attachment)}`, textMargin, textMargin + lineHeight * 7);
+            if (balancer.anchor) {
+                const length = Math.hypot(balancer.anchor.x - balancer.attachment.x, balancer.anchor.y - balancer.attachment.y);
+                pdf.text(`  from the box at ${at(balancer.anchor)}, ${length.toFixed(1)}${unitConv.label} long when closed`, textMargin, textMargin + lineHeight * 8);
+            }
+            pdf.setTextColor(0);
+        }
+        
+        // Full template page with complete box outline
+        const getFullTemplateBounds = () => {
+            const points = [
+                ...this.geometry.getBoxVertices(),
+                ...this.geometry.getClosedLidVertices(),
+                this.geometry.redBoxPoint,
+                this.geometry.blueBoxPoint,
+                ...(this.geometry.balancer ? [this.geometry.balancer.anchor, this.geometry.balancer.attachment].filter(Boolean) : [])
+            ];
+            
+            const bounds = {
+                minX: Infinity,
+                maxX: -Infinity,
+                minY: Infinity,
+                maxY: -Infinity
+            };
+            
+            points.forEach(p => {
+                bounds.minX = Math.min(bounds.minX, p.x);
+                bounds.maxX = Math.max(bounds.maxX, p.x);
+                bounds.minY = Math.min(bounds.minY, p.y);
+                bounds.maxY = Math.max(bounds.maxY, p.y);
+            });
+            
+            return bounds;
+        };
+        
+        const fullTemplateBounds = getFullTemplateBounds();
+        const fullTemplateWidth = (fullTemplateBounds.maxX - fullTemplateBounds.minX) * unitConv.toUnit + 2 * margin;
+        const fullTemplateHeight = (fullTemplateBounds.maxY - fullTemplateBounds.minY) * unitConv.toUnit + 2 * margin;
+        const fullTemplateOrientation = fullTemplateWidth > fullTemplateHeight ? 'l' : 'p';
+        
+        // Calculate font size based on page dimensions
+        const fullTemplateFontSize = Math.min(8, Math.max(6, Math.min(fullTemplateWidth, fullTemplateHeight) / 10));
+        
+        pdf.addPage([Math.max(fullTemplateWidth, fullTemplateHeight), Math.min(fullTemplateWidth, fullTemplateHeight)], fullTemplateOrientation);
+        
+        // Transform for full template view
+        const transformFullTemplate = (point) => ({
+            x: (point.x - fullTemplateBounds.minX) * unitConv.toUnit + margin,
+            y: (fullTemplateBounds.maxY - point.y) * unitConv.toUnit + margin
+        });
+        
+        drawBoxOutline(transformFullTemplate);
+        drawClosedLidOutline(transformFullTemplate);
+        drawPivotPoints(transformFullTemplate);
+        drawBalancerPoints(transformFullTemplate);
+        drawConnectionLines(transformFullTemplate, true, fullTemplateFontSize);
+        drawScaleLine(fullTemplateWidth, fullTemplateHeight, fullTemplateFontSize);
+        
+        return pdf;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { TemplateGenerator };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('the lid stays on the closed pose\'s assembly branch all the way open', () => {
+    const geometry = readmeDesign();
+    const branch = geometry.getClosedAssemblyBranch();
+    const report = geometry.analyzeMotion();
+    assert.deepStrictEqual(report.branchFlips, []);
+    for (const pose of report.poses) {
+        assert.strictEqual(geometry.getAssemblyBranch(pose.inputFollower, pose.outputFollower, geometry.blueBoxPoint), branch);
+    }
+});
+
+test('of the two solutions, the one on the requested branch is chosen', () => {
+    const geometry = readmeDesign();
+    const inputFollower = { x: 0, y: 0 };
+    const outputGround = { x: 2, y: 0 };
+    const above = { x: 1, y: 1 };
+    const below = { x: 1, y: -1 };
+    const branch = geometry.getAssemblyBranch(inputFollower, above, outputGround);
+    assert.strictEqual(geometry.getAssemblyBranch(inputFollower, below, outputGround), -branch);
+    assert.strictEqual(geometry.selectBranchSolution([below, above], inputFollower, outputGround, branch), above);
+    assert.strictEqual(geometry.selectBranchSolution([below, above], inputFollower, outputGround, -branch), below);
+});
+
+test('the alternate assembly of the README design does not close onto the box', () => {
+    const report = readmeDesign('&asm=alt').analyzeMotion();
+    assert.strictEqual(report.reachesClosedPose, false);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign, getHardware } = require('./designs.js');
+
+const WEIGHT = 0.14;  // N, about the README design's printed lid
+
+function size(balancer) {
+    const geometry = readmeDesign();
+    const motion = geometry.analyzeMotion();
+    const statics = geometry.analyzeStatics(motion);
+    return { statics, sizing: geometry.sizeBalancer(motion, statics, getHardware(geometry), WEIGHT, balancer) };
+}
+
+test('a counterweight on the red rod carried on past its box pivot nearly cancels the lid', () => {
+    const { sizing } = size({ type: 'counterweight', part: 'red', attachment: { x: 23, y: 67 } });
+    assert.ok(sizing.mass > 0);
+    assert.ok(sizing.maxResidual < 0.1 * sizing.maxGravity);
+});
+
+test('a counterweight on the lid\'s own centre of mass only adds to its weight, so gets none', () => {
+    const { statics } = size(null);
+    const { sizing } = size({ type: 'counterweight', part: 'lid', attachment: statics.centerOfMass });
+    assert.strictEqual(sizing.mass, 0);
+    assert.strictEqual(sizing.maxResidual, sizing.maxGravity);
+});
+
+test('a gas strut pushes the same all the way, and a spring never needs a negative stiffness', () => {
+    const strut = size({ type: 'gas-strut', part: 'lid', anchor: { x: 30, y: 10 }, attachment: { x: 5, y: 30 } }).sizing;
+    assert.strictEqual(strut.stiffness, 0);
+    assert.strictEqual(strut.forces.min, strut.forces.max);
+    assert.ok(strut.maxResidual < strut.maxGravity);
+    const spring = size({ type: 'spring', part: 'red', anchor: { x: 40, y: 30 }, attachment: { x: 9, y: 20 } }).sizing;
+    assert.ok(spring.stiffness >= 0);
+    assert.strictEqual(spring.lengths.closed, spring.poses[0].length);
+});
+
+test('a balancer needs a known type and part, an attachment, and an anchor unless it is a counterweight', () => {
+    const geometry = readmeDesign();
+    const attachment = { x: 5, y: 30 };
+    assert.throws(() => geometry.setBalancer({ type: 'elastic', part: 'lid', attachment }), /Unknown balancer/);
+    assert.throws(() => geometry.setBalancer({ type: 'spring', part: 'box', attachment }), /not "box"/);
+    assert.throws(() => geometry.setBalancer({ type: 'spring', part: 'lid', attachment }), /needs an anchor/);
+    assert.throws(() => geometry.setBalancer({ type: 'counterweight', part: 'lid' }), /attachment point/);
+    geometry.setBalancer({ type: 'counterweight', part: 'lid', attachment });
+    assert.strictEqual(geometry.balancer.anchor, null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageError, readDesignParams, loadDesign, readCommonOptions, COMMON_OPTIONS, buildReport, main } = require('../cli.js');
+const { STLGenerator } = require('../stl-generator.js');
+const { README_DESIGN, readmeDesign, defaultBox } = require('./designs.js');
+
+// The report with the default options, as main() builds it
+function report(geometry) {
+    const defaults = Object.fromEntries(Object.entries(COMMON_OPTIONS)
+        .filter(([, option]) => option.default !== undefined)
+        .map(([name, option]) => [name, option.default]));
+    const { units, settings, ...checks } = readCommonOptions(defaults);
+    return buildReport(geometry, new STLGenerator(geometry, units, settings), checks);
+}
+
+test('a design is read from a page URL or a bare query string', () => {
+    const fromUrl = readDesignParams(`https://grimmett.io/hinge-generator/${README_DESIGN}`);
+    assert.deepStrictEqual(readDesignParams(README_DESIGN), fromUrl);
+    assert.strictEqual(fromUrl.rcx, '9.352');
+    assert.throws(() => readDesignParams('not-a-design'), UsageError);
+    assert.throws(() => loadDesign({ height: 'tall' }), UsageError);
+});
+
+test('alpha is read as radians as the page saves it, or degrees above a full turn', () => {
+    const radians = loadDesign({ alpha: '1.309' });
+    const degrees = loadDesign({ alpha: '75' });
+    assert.ok(Math.abs(radians.closedAngle - degrees.closedAngle) < 1e-3);
+    assert.ok(Math.abs(loadDesign({ alphaDeg: '75' }).closedAngle - degrees.closedAngle) < 1e-12);
+});
+
+test('a JSON design gives its lid angle as alphaDeg, as a bare alpha could be radians or degrees', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hinge-json-'));
+    const file = path.join(dir, 'design.json');
+    fs.writeFileSync(file, JSON.stringify({ height: 35, width: 50, depth: 21, alphaDeg: 5 }));
+    assert.ok(Math.abs(loadDesign(readDesignParams(file)).closedAngle - 5 * Math.PI / 180) < 1e-12);
+    fs.writeFileSync(file, JSON.stringify({ height: 35, width: 50, depth: 21, alpha: 5 }));
+    assert.throws(() => readDesignParams(file), /alphaDeg/);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('the README design only has its rods crossing the lid wall', () => {
+    const result = report(readmeDesign());
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.problems.map(problem => problem.code), ['rod-wall-collision', 'rod-wall-collision']);
+    assert.strictEqual(result.motion.reachesOpenPose, true);
+    assert.strictEqual(result.rodWall.checked, true);
+    assert.strictEqual(result.rodWall.wallHeight, 50);
+});
+
+test('the default box misses the open pose, hits the box and has a rod hitting a pin', () => {
+    const geometry = defaultBox();
+    const codes = report(geometry).problems.map(problem => problem.code);
+    assert.deepStrictEqual(codes, ['misses-open-pose', 'lid-collision', 'poor-transmission', 'interference',
+        'rod-wall-collision', 'rod-wall-collision', 'rod-wall-collision']);
+});
+
+test('--report-only writes just the report and exits with 2 when there are problems', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hinge-cli-'));
+    const log = console.log;
+    console.log = () => {};
+    try {
+        assert.strictEqual(await main([README_DESIGN, '--report-only', '--out', dir]), 2);
+    } finally {
+        console.log = log;
+    }
+    assert.deepStrictEqual(fs.readdirSync(dir), ['hinge-report.json']);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'hinge-report.json'))).valid, false);
+    fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BoxGeometry } = require('../geometry.js');
+const { defaultBox, readmeDesign } = require('./designs.js');
+
+const square = (x, y, size) => [
+    { x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }
+];
+
+test('overlapping squares give the exact overlap area and depth', () => {
+    const geometry = new BoxGeometry(30, 40, 10, 75, 1);
+    const overlap = geometry.getPolygonOverlap(square(0, 0, 2), square(1.5, 1, 2));
+    assert.ok(Math.abs(overlap.area - 0.5) < 1e-9);
+    assert.ok(Math.abs(overlap.depth - 0.5) < 1e-9);
+});
+
+test('a square in the notch of a concave polygon does not overlap it', () => {
+    const geometry = new BoxGeometry(30, 40, 10, 75, 1);
+    const ell = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 4 }, { x: 0, y: 4 }];
+    const overlap = geometry.getPolygonOverlap(ell, square(2, 2, 1.5));
+    assert.strictEqual(overlap.area, 0);
+    assert.strictEqual(overlap.depth, 0);
+});
+
+test('a sliver just deeper than the threshold is a collision, except shallow ones at a rest pose', () => {
+    const geometry = new BoxGeometry(30, 40, 10, 75, 1);
+    const sliver = 2 * geometry.collisionDepthThreshold;
+    const overlap = geometry.getPolygonOverlap(square(0, 0, 2), square(2 - sliver, 0, 2));
+    assert.ok(Math.abs(overlap.depth - sliver) < 1e-9);
+    assert.strictEqual(geometry.isLidCollision(overlap.depth, 0.5), true);
+    assert.strictEqual(geometry.isLidCollision(overlap.depth, 0.02), false);
+    assert.strictEqual(geometry.isLidCollision(overlap.depth, 0.98), false);
+    assert.strictEqual(geometry.isLidCollision(1.01 * geometry.restContactDepth, 0.98), true);
+});
+
+test('the lid resting on the box is not a collision', () => {
+    const geometry = readmeDesign();
+    geometry.fourBarConfig = geometry.getFourBarConfig();
+    geometry.updateFourBarPosition(geometry.fourBarConfig.inputAngle);
+    assert.strictEqual(geometry.findCurrentCollision(), false);
+});
+
+test('the default box collides part way through its motion', () => {
+    const geometry = defaultBox();
+    const worst = geometry.analyzeMotion().collisions.reduce((a, b) => (b.depth > a.depth ? b : a));
+    geometry.fourBarConfig = geometry.getFourBarConfig();
+    assert.ok(geometry.updateFourBarPosition(worst.angle));
+    assert.strictEqual(geometry.findCurrentCollision(), true);
+    assert.ok(geometry.currentCollision.area > 0);
+});
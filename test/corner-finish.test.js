@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+// Box corner 1 is the square bottom-back corner of the README design
+const BACK_CORNER = 1;
+
+test('only corners off the cut can be finished', () => {
+    const geometry = readmeDesign();
+    assert.deepStrictEqual(geometry.getFinishableCorners('box').map(corner => corner.index), [1, 2]);
+    assert.throws(() => geometry.setCornerFinish('box', 0, { type: 'round', size: 2 }), /no corner 0/);
+    assert.throws(() => geometry.setCornerFinish('box', BACK_CORNER, { type: 'fillet', size: 2 }), /round or chamfer/);
+});
+
+test('a chamfer cuts a right-angled triangle off a square corner', () => {
+    const geometry = readmeDesign();
+    const area = geometry.getPolygonArea(geometry.getBoxVertices());
+    geometry.setCornerFinish('box', BACK_CORNER, { type: 'chamfer', size: 3 });
+    assert.ok(Math.abs(area - geometry.getPolygonArea(geometry.getBoxVertices()) - 4.5) < 1e-9);
+});
+
+test('rounding a square corner takes off the square outside a quarter circle', () => {
+    const geometry = readmeDesign();
+    const area = geometry.getPolygonArea(geometry.getBoxVertices());
+    geometry.setCornerFinish('box', BACK_CORNER, { type: 'round', size: 3 });
+    const removed = area - geometry.getPolygonArea(geometry.getBoxVertices());
+    assert.ok(Math.abs(removed - 9 * (1 - Math.PI / 4)) < 0.05);
+});
+
+test('rounding the lid\'s corners leaves the cut as one edge between the same corners', () => {
+    const geometry = readmeDesign();
+    const outline = geometry.getClosedLidOutline();
+    for (const corner of geometry.getFinishableCorners('lid')) {
+        geometry.setCornerFinish('lid', corner.index, { type: 'round', size: 2 });
+    }
+    const edges = geometry.getClosedLidEdges();
+    assert.ok(edges.length > outline.length);
+    const cut = edges.filter(edge => edge.isCut);
+    assert.deepStrictEqual(cut.map(edge => [edge.start, edge.end]), [[outline[1], outline[2]]]);
+});
+
+test('a finished corner can be made sharp again', () => {
+    const geometry = readmeDesign();
+    const sharp = geometry.getBoxVertices();
+    geometry.setCornerFinish('box', BACK_CORNER, { type: 'round', size: 3 });
+    geometry.setCornerFinish('box', BACK_CORNER, null);
+    assert.deepStrictEqual(geometry.getBoxVertices(), sharp);
+});
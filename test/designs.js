@@ -0,0 +1,23 @@
+// Designs the tests check against: the one in the README's examples, and the box the page starts with
+const { readDesignParams, loadDesign } = require('../cli.js');
+const { STLGenerator } = require('../stl-generator.js');
+
+const README_DESIGN = '?height=35.000&width=50.000&depth=21.000&alpha=1.309&gap=1.000' +
+    '&rcx=9.352&rcy=20.546&bcx=12.692&bcy=11.772&rbd=12.063&bbd=2.736';
+
+// The README design, with any extra design keys given as "&key=value"
+function readmeDesign(extra = '') {
+    return loadDesign(readDesignParams(README_DESIGN + extra));
+}
+
+// The page's default box and pivots
+function defaultBox() {
+    return loadDesign({});
+}
+
+// Part sizes for a design, from the page's default STL settings
+function getHardware(geometry, settings = {}) {
+    return new STLGenerator(geometry, 'mm', { boxWidth: 50, ...settings }).getHardware();
+}
+
+module.exports = { README_DESIGN, readmeDesign, defaultBox, getHardware };
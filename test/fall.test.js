@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign, getHardware } = require('./designs.js');
+
+const MASS = 14;  // grams
+
+function drop(releaseProgress, damping = 0) {
+    const geometry = readmeDesign();
+    const motion = geometry.analyzeMotion();
+    const fall = geometry.simulateFall(motion, getHardware(geometry), { mass: MASS, releaseProgress, damping });
+    return { geometry, motion, fall };
+}
+
+test('an undamped lid lands with the energy it lost falling', () => {
+    const { geometry, motion, fall } = drop(0.5);
+    assert.strictEqual(fall.endsAt, 'closed');
+    const shell = geometry.getClosedLidShellVertices();
+    const centroid = geometry.getPolygonCentroid(shell);
+    const heightAt = (index) => {
+        const pose = motion.poses[index];
+        return geometry.transformPoint(geometry.getLidTransform(pose.inputFollower, pose.outputFollower), centroid).y;
+    };
+    const fallen = (heightAt((motion.poses.length - 1) / 2) - heightAt(0)) / 1000;  // m
+    const potential = MASS / 1000 * 9.81 * fallen;
+    assert.ok(Math.abs(fall.energy - potential) / potential < 0.02);
+});
+
+test('let go past its balance point, the lid falls open', () => {
+    assert.strictEqual(drop(0.9).fall.endsAt, 'open');
+});
+
+test('a damper slows the fall and softens the landing', () => {
+    const free = drop(0.3).fall;
+    const damped = drop(0.3, 1).fall;
+    assert.strictEqual(damped.endsAt, 'closed');
+    assert.ok(damped.time > free.time);
+    assert.ok(damped.energy < free.energy);
+});
+
+test('a damper far stronger than the lid needs holds it almost still', () => {
+    const { fall } = drop(0.3, 500);
+    assert.strictEqual(fall.endsAt, null);
+    assert.ok(fall.angularSpeed < 0.01);
+    assert.ok(Math.abs(fall.progress - 0.3) < 0.05);
+    assert.strictEqual(fall.angles.length, Math.round(fall.time / fall.timeStep) + 1);
+});
+
+test('an over-centre lid can slam into both rest poses, hardest from just past its balance point', () => {
+    const geometry = readmeDesign();
+    const motion = geometry.analyzeMotion();
+    const slams = geometry.simulateSlams(motion, getHardware(geometry), { mass: MASS, damping: 0 });
+    for (const pose of ['closed', 'open']) {
+        assert.strictEqual(slams[pose].endsAt, pose);
+        assert.ok(slams[pose].tipSpeed > 0);
+    }
+    const halfway = geometry.simulateFall(motion, getHardware(geometry), { mass: MASS, releaseProgress: 0.5 });
+    assert.ok(slams.closed.energy > halfway.energy);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign, getHardware } = require('./designs.js');
+
+// The design the README notes can't be made, because the blue rod runs into the red lid pin
+const AXLE_COLLISION = '&rcx=16.313&rcy=24.138&bcx=4.861&bcy=31.641&rbd=-5.063&bbd=2.693';
+
+test('a rod clears a pin by its distance less the half widths', () => {
+    const geometry = readmeDesign();
+    const rod = { width: 2, rimDiameter: 4 };
+    const clearance = geometry.getRodClearance({ x: 0, y: 0 }, { x: 10, y: 0 }, rod, { x: 5, y: 3 }, 1);
+    assert.ok(Math.abs(clearance - 1) < 1e-12);
+    assert.ok(geometry.getRodClearance({ x: 0, y: 0 }, { x: 10, y: 0 }, rod, { x: 5, y: 1 }, 1) < 0);
+});
+
+test('the README design\'s rods clear every pin and each other', () => {
+    const geometry = readmeDesign();
+    const parts = geometry.getLinkageParts(getHardware(geometry));
+    const interference = geometry.analyzeInterference(parts, geometry.analyzeMotion());
+    assert.strictEqual(interference.hasInterference, false);
+    assert.ok(Math.abs(interference.minClearance - 0.406) < 0.001);
+    assert.ok(parts.rods.every(rod => rod.isLevel));
+});
+
+test('the blue rod of the README\'s unmakeable design hits the red lid pin', () => {
+    const geometry = readmeDesign(AXLE_COLLISION);
+    const parts = geometry.getLinkageParts(getHardware(geometry));
+    const interference = geometry.analyzeInterference(parts, geometry.analyzeMotion());
+    assert.deepStrictEqual(interference.interferences.map(hit => hit.pair), [['blue rod', 'red lid pin base']]);
+    assert.ok(interference.minClearance < -1);
+});
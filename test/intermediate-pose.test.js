@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('a pose taken from the motion keeps the box pivots and is passed through', () => {
+    const geometry = readmeDesign();
+    const { redBox, blueBox } = geometry.getPivotPoints();
+    geometry.setIntermediatePose(geometry.getDefaultIntermediatePose());
+    assert.ok(geometry.distance(geometry.redBoxPoint, redBox) < 0.01);
+    assert.ok(geometry.distance(geometry.blueBoxPoint, blueBox) < 0.01);
+    assert.strictEqual(geometry.analyzeMotion().passesIntermediatePose, true);
+});
+
+test('each box pivot is the same distance from its lid pivot in all three poses', () => {
+    const geometry = readmeDesign();
+    const pose = geometry.getDefaultIntermediatePose();
+    geometry.setIntermediatePose({ ...pose, angle: pose.angle + 0.1 });
+    const intermediate = geometry.getIntermediatePivotPoints();
+    for (const color of ['red', 'blue']) {
+        const box = geometry[`${color}BoxPoint`];
+        const length = geometry.distance(box, geometry[`${color}ClosedPoint`]);
+        assert.ok(Math.abs(geometry.distance(box, intermediate[color]) - length) < 1e-6);
+        assert.ok(Math.abs(geometry.distance(box, geometry[`${color}OpenPoint`]) - length) < 1e-6);
+    }
+});
+
+test('without an intermediate pose there is nothing to pass through', () => {
+    assert.strictEqual(readmeDesign().analyzeMotion().passesIntermediatePose, null);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('the lid turns from closed to its open rest angle', () => {
+    for (const [extra, angle] of [['', 180], ['&oa=110', 110]]) {
+        const { poses } = readmeDesign(extra).getKinematics();
+        assert.ok(Math.abs(poses[0].lidTurn) < 1e-9);
+        assert.ok(Math.abs(poses[poses.length - 1].lidTurn * 180 / Math.PI - angle) < 1e-6, extra);
+    }
+});
+
+test('the velocity ratio adds up to the lid\'s whole turn', () => {
+    const { poses } = readmeDesign().getKinematics();
+    let turn = 0;
+    for (let i = 1; i < poses.length; i++) {
+        turn += (poses[i].velocityRatio + poses[i - 1].velocityRatio) / 2 * (poses[i].inputTurn - poses[i - 1].inputTurn);
+    }
+    assert.ok(Math.abs(turn - poses[poses.length - 1].lidTurn) < 0.01);
+});
+
+test('the front corner goes from closed to its open position', () => {
+    const geometry = readmeDesign();
+    const { corner, poses } = geometry.getKinematics();
+    const hinge = geometry.getHingePoint();
+    assert.ok(geometry.getClosedLidVertices().every(vertex => geometry.distance(vertex, hinge) <= geometry.distance(corner, hinge)));
+    assert.ok(geometry.distance(poses[0].corner, corner) < 1e-6);
+    assert.ok(geometry.distance(poses[poses.length - 1].corner, geometry.getOpenPosition(corner)) < 1e-6);
+});
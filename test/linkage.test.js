@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultBox, readmeDesign } = require('./designs.js');
+
+// The default box with pivots that pass close to dead centre in several ways
+function nearToggleDesign() {
+    const geometry = defaultBox();
+    geometry.setPivotPoints({
+        redClosed: { x: 5.402, y: 15.799 },
+        blueClosed: { x: 4.633, y: 21.040 },
+        redBox: { x: 2.646, y: 32.256 },
+        blueBox: { x: 34.620, y: 20.690 }
+    });
+    return geometry;
+}
+
+test('the README design is a triple rocker that stays clear of dead centre', () => {
+    const report = readmeDesign().analyzeMotion();
+    assert.strictEqual(report.linkage.type, 'triple-rocker');
+    assert.strictEqual(report.linkage.isGrashof, false);
+    assert.deepStrictEqual(report.nearToggles, []);
+});
+
+test('a Grashof linkage with the lid shortest is a double rocker', () => {
+    const linkage = nearToggleDesign().getLinkageClassification();
+    assert.strictEqual(linkage.type, 'double-rocker');
+    assert.strictEqual(linkage.shortestLink, 'follower');
+    assert.ok(linkage.grashofMargin > 0);
+});
+
+test('at each toggle angle the two links line up', () => {
+    const geometry = nearToggleDesign();
+    const fb = geometry.getFourBarConfig();
+    const along = (angle, length) => ({
+        x: fb.inputGround.x + Math.cos(angle) * length,
+        y: fb.inputGround.y + Math.sin(angle) * length
+    });
+    const toggles = geometry.getToggleAngles();
+    assert.strictEqual(toggles.length, 8);
+    for (const toggle of toggles) {
+        if (toggle.links === 'input-follower') {
+            // The lid runs straight on from the red rod (or folds back along it) to the blue rod's end
+            const reach = toggle.extended ? fb.inputLength + fb.followerLength : fb.inputLength - fb.followerLength;
+            const outputFollower = along(toggle.angle, reach);
+            assert.ok(Math.abs(geometry.distance(outputFollower, fb.outputGround) - fb.outputLength) < 1e-6);
+        } else {
+            // The lid and blue rod together span the distance to the red rod's end
+            const reach = toggle.extended ? fb.followerLength + fb.outputLength : Math.abs(fb.followerLength - fb.outputLength);
+            const inputFollower = along(toggle.angle, fb.inputLength);
+            assert.ok(Math.abs(geometry.distance(inputFollower, fb.outputGround) - reach) < 1e-6);
+        }
+    }
+});
+
+test('each kind of near dead-centre position is reported once', () => {
+    const { nearToggles } = nearToggleDesign().analyzeMotion();
+    const kinds = nearToggles.map(toggle => `${toggle.links} ${toggle.extended}`);
+    assert.ok(nearToggles.length > 0);
+    assert.strictEqual(new Set(kinds).size, kinds.length);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../cli.js');
+const { README_DESIGN, readmeDesign } = require('./designs.js');
+
+test('the table has a row per step from closed to open', () => {
+    const geometry = readmeDesign();
+    const table = geometry.getMotionTable(90);
+    assert.strictEqual(table.length, 91);
+    assert.ok(Math.abs(table[0].lidRotation) < 1e-6);
+    assert.ok(Math.abs(table[table.length - 1].lidRotation - 180) < 1e-6);
+    const closed = geometry.getClosedLidVertices();
+    table[0].lidVertices.forEach((v, i) => {
+        assert.ok(Math.hypot(v.x - closed[i].x, v.y - closed[i].y) < 1e-6);
+    });
+});
+
+test('as CSV every row has a value for each column, with units in the header', () => {
+    const geometry = readmeDesign();
+    const lines = geometry.formatMotionTable(geometry.getMotionTable(10), 'csv', 'mm').trim().split('\n');
+    const header = lines[0].split(',');
+    assert.strictEqual(lines.length, 12);
+    assert.deepStrictEqual(header.slice(0, 3), ['inputAngle (deg)', 'lidRotation (deg)', 'inputFollowerX (mm)']);
+    assert.strictEqual(header[header.length - 1], 'clearance (mm)');
+    assert.ok(lines.slice(1).every(line => line.split(',').length === header.length && !line.includes('NaN')));
+});
+
+test('as JSON the table keeps its units and full precision', () => {
+    const geometry = readmeDesign();
+    const table = geometry.getMotionTable(10);
+    const parsed = JSON.parse(geometry.formatMotionTable(table, 'json', 'in'));
+    assert.strictEqual(parsed.units, 'in');
+    assert.deepStrictEqual(parsed.poses, JSON.parse(JSON.stringify(table)));
+});
+
+test('--motion-table writes the table next to the report', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hinge-motion-'));
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await main([README_DESIGN, '--report-only', '--motion-table', 'csv', '--steps', '20', '--out', dir]);
+    } finally {
+        console.log = log;
+    }
+    const lines = fs.readFileSync(path.join(dir, 'hinge-motion.csv'), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 22);
+    fs.rmSync(dir, { recursive: true });
+});
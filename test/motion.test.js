@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultBox, readmeDesign } = require('./designs.js');
+
+test('the README design opens cleanly from closed to open', () => {
+    const report = readmeDesign().analyzeMotion();
+    assert.strictEqual(report.reachable, true);
+    assert.strictEqual(report.reachesClosedPose, true);
+    assert.strictEqual(report.reachesOpenPose, true);
+    assert.strictEqual(report.hasCollision, false);
+    assert.strictEqual(report.poses.length, report.steps + 1);
+    assert.ok(report.minClearance > 0);
+});
+
+test('the default box hits the box and misses the open pose', () => {
+    const report = defaultBox().analyzeMotion();
+    assert.strictEqual(report.reachable, true);
+    assert.strictEqual(report.reachesOpenPose, false);
+    assert.strictEqual(report.hasCollision, true);
+    assert.ok(report.maxPenetrationDepth > 1);
+});
+
+test('the analysis does not depend on the animation having run', () => {
+    const geometry = readmeDesign();
+    const before = geometry.analyzeMotion(60);
+    geometry.fourBarConfig = geometry.getFourBarConfig();
+    geometry.updateFourBarPosition(before.poses[30].angle);
+    const after = geometry.analyzeMotion(60);
+    assert.deepStrictEqual(after.poses.map(pose => pose.clearance), before.poses.map(pose => pose.clearance));
+});
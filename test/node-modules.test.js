@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { STLGenerator } = require('../stl-generator.js');
+const { TemplateGenerator } = require('../template-generator.js');
+const { readmeDesign } = require('./designs.js');
+
+test('the STL zip is built without a browser', async () => {
+    const geometry = readmeDesign();
+    const buffer = await new STLGenerator(geometry, 'mm', { boxWidth: 50 }).generateZip('', 'nodebuffer');
+    const zip = await JSZip.loadAsync(buffer);
+    const names = Object.keys(zip.files);
+    assert.ok(names.some(name => name.endsWith('.stl')));
+    assert.ok(names.some(name => name.endsWith('.txt')));
+});
+
+test('the PDF template is built without a browser', () => {
+    const pdf = new TemplateGenerator(readmeDesign(), 'mm').generatePdf();
+    const bytes = Buffer.from(pdf.output('arraybuffer'));
+    assert.strictEqual(bytes.subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('dragging the open lid puts its reference point where it was dropped', () => {
+    const geometry = readmeDesign();
+    geometry.placeOpenLid({ x: 30, y: 50 }, 100 * Math.PI / 180);
+    assert.ok(geometry.distance(geometry.getOpenLidReferencePoint(), { x: 30, y: 50 }) < 1e-9);
+    assert.ok(Math.abs(geometry.openRestAngle - 100 * Math.PI / 180) < 1e-12);
+});
+
+test('turning the open lid by its handle keeps its reference point still', () => {
+    const geometry = readmeDesign();
+    const reference = geometry.getOpenLidReferencePoint();
+    geometry.placeOpenLid(reference, -Math.PI / 2);
+    assert.ok(Math.abs(geometry.openRestAngle - 3 * Math.PI / 2) < 1e-12);
+    assert.ok(geometry.distance(geometry.getOpenLidReferencePoint(), reference) < 1e-9);
+});
+
+test('placing the lid where it already rests leaves the pose unchanged', () => {
+    const geometry = readmeDesign();
+    geometry.placeOpenLid(geometry.getOpenLidReferencePoint(), geometry.openRestAngle);
+    assert.ok(Math.abs(geometry.openOffset.x) < 1e-9 && Math.abs(geometry.openOffset.y) < 1e-9);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('by default the lid turns half a turn onto the box', () => {
+    const geometry = readmeDesign();
+    assert.strictEqual(geometry.openRestAngle, Math.PI);
+    assert.deepStrictEqual(geometry.openOffset, { x: 0, y: 0 });
+});
+
+test('the open position and the closed position undo each other', () => {
+    const geometry = readmeDesign('&oa=110&ox=2&oy=-1');
+    const point = { x: 4, y: 30 };
+    const back = geometry.getClosedPosition(geometry.getOpenPosition(point));
+    assert.ok(geometry.distance(back, point) < 1e-9);
+});
+
+test('with another open pose each box pivot stays as far from its lid pivot open as closed', () => {
+    const geometry = readmeDesign('&oa=110');
+    assert.ok(Math.abs(geometry.openRestAngle - 110 * Math.PI / 180) < 1e-12);
+    for (const color of ['red', 'blue']) {
+        const box = geometry[`${color}BoxPoint`];
+        assert.ok(Math.abs(geometry.distance(box, geometry[`${color}ClosedPoint`]) - geometry.distance(box, geometry[`${color}OpenPoint`])) < 1e-6);
+    }
+});
+
+test('open poses that are out of range or leave the lid closed are refused', () => {
+    const geometry = readmeDesign();
+    assert.throws(() => geometry.setOpenPose(-0.1), /at least 0/);
+    assert.throws(() => geometry.setOpenPose(2 * Math.PI), /less than 360/);
+    assert.throws(() => geometry.setOpenPose(0), /move the lid away/);
+    geometry.setOpenPose(0, { x: 0, y: 40 });
+    assert.deepStrictEqual(geometry.openOffset, { x: 0, y: 40 });
+});
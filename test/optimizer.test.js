@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HingeOptimizer } = require('../optimizer.js');
+const { defaultBox } = require('./designs.js');
+
+// Run a short search to the end and return its best candidate
+function optimize(seed) {
+    return new Promise(resolve => {
+        new HingeOptimizer(defaultBox(), { seed, iterations: 120, onFinish: resolve }).start();
+    });
+}
+
+test('the optimizer turns the default box into a valid hinge', async () => {
+    const best = await optimize(1);
+    assert.ok(best.score >= 0);
+    assert.strictEqual(best.report.reachesOpenPose, true);
+    assert.strictEqual(best.report.hasCollision, false);
+});
+
+test('the same seed gives the same result and another seed a different one', async () => {
+    const [first, again, other] = [await optimize(7), await optimize(7), await optimize(8)];
+    assert.deepStrictEqual(again.points, first.points);
+    assert.notDeepStrictEqual(other.points, first.points);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultBox, getHardware } = require('./designs.js');
+
+// A box with a sloping top and the lid that sits on it, sharing the cut from (0, 25) to (40, 20)
+const BOX = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 20 }, { x: 0, y: 25 }];
+const LID = [{ x: 0, y: 25 }, { x: 40, y: 20 }, { x: 40, y: 30 }, { x: 0, y: 30 }];
+
+test('a profile sets the box size and keeps the pivots on their parts', () => {
+    const geometry = defaultBox();
+    geometry.setProfile({ box: BOX, lid: LID });
+    assert.strictEqual(geometry.width, 40);
+    assert.strictEqual(geometry.height, 30);
+    assert.strictEqual(geometry.depth, 40);
+    const lid = geometry.getClosedLidVertices();
+    assert.ok(geometry.isPointInPolygon(geometry.redClosedPoint, lid) || geometry.getDistanceFromPointToPolygonEdge(geometry.redClosedPoint, lid) < 1e-6);
+    assert.ok(geometry.isPointInPolygon(geometry.blueClosedPoint, lid) || geometry.getDistanceFromPointToPolygonEdge(geometry.blueClosedPoint, lid) < 1e-6);
+});
+
+test('polygons drawn away from the origin are moved onto it', () => {
+    const geometry = defaultBox();
+    const move = (point) => ({ x: point.x + 5, y: point.y - 3 });
+    geometry.setProfile({ box: BOX.map(move), lid: LID.map(move) });
+    assert.deepStrictEqual(geometry.profile.box, BOX);
+});
+
+test('the box and lid must share the cut as an edge', () => {
+    const geometry = defaultBox();
+    const touchingAtACorner = [{ x: 0, y: 25 }, { x: 40, y: 30 }, { x: 0, y: 30 }];
+    assert.throws(() => geometry.setProfile({ box: BOX, lid: touchingAtACorner }), /share the edge/);
+    assert.throws(() => geometry.setProfile({ box: BOX.slice(0, 2), lid: LID }), /at least three points/);
+});
+
+test('the cut is the lid edge shared with the box, whichever way round the lid is drawn', () => {
+    const geometry = defaultBox();
+    geometry.setProfile({ box: BOX, lid: LID });
+    const cut = geometry.getClosedLidEdges().filter(edge => edge.isCut);
+    assert.deepStrictEqual(cut.map(edge => [edge.start, edge.end]), [[{ x: 0, y: 25 }, { x: 40, y: 20 }]]);
+    geometry.setProfile({ box: BOX, lid: [...LID].reverse() });
+    assert.strictEqual(geometry.getClosedLidEdges().filter(edge => edge.isCut).length, 1);
+    assert.strictEqual(geometry.lidCutEdge, 2);
+});
+
+test('a lid pivot may sit close to a sloping cut, but not to the lid\'s outer edges', () => {
+    const geometry = defaultBox();
+    geometry.setProfile({ box: BOX, lid: LID });
+    const motion = geometry.analyzeMotion(20);
+    const hardware = getHardware(geometry);
+    const nearEdge = () => geometry.getProblems({ motion, hardware }).some(problem => problem.code === 'pivot-near-edge');
+    geometry.blueClosedPoint = { x: 20, y: 22.6 };
+    geometry.redClosedPoint = { x: 20, y: 26 };
+    assert.strictEqual(nearEdge(), false);
+    geometry.redClosedPoint = { x: 20, y: 29 };
+    assert.strictEqual(nearEdge(), true);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign, getHardware } = require('./designs.js');
+
+function analyze(wallHeight) {
+    const geometry = readmeDesign();
+    const parts = geometry.getLinkageParts(getHardware(geometry, { wallHeight }));
+    const motion = geometry.analyzeMotion(60);
+    const rodWall = geometry.analyzeRodWallCollisions(parts, motion);
+    return { rodWall, problems: geometry.getProblems({ motion, rodWall }) };
+}
+
+test('by default the walls stand out as far as the box is wide', () => {
+    const geometry = readmeDesign();
+    const hardware = getHardware(geometry);
+    assert.strictEqual(hardware.wallHeight, 50);
+    const parts = geometry.getLinkageParts(hardware);
+    assert.strictEqual(geometry.analyzeRodWallCollisions(parts, geometry.analyzeMotion(60)).checked, true);
+});
+
+test('with a wall height of 0 the rods are not checked against the walls', () => {
+    const { rodWall, problems } = analyze(0);
+    assert.strictEqual(rodWall.checked, false);
+    assert.strictEqual(rodWall.hasCollision, false);
+    assert.ok(!problems.some(problem => problem.code === 'rod-wall-collision'));
+});
+
+test('tall walls on the rod side are hit by both rods, but not where each rod is pinned', () => {
+    const { rodWall, problems } = analyze(50);
+    assert.strictEqual(rodWall.checked, true);
+    const pairs = new Set(rodWall.collisions.map(collision => `${collision.rod}|${collision.wall}`));
+    assert.deepStrictEqual([...pairs].sort(), ['blue rod|lid wall', 'red rod|lid wall']);
+    assert.strictEqual(problems.filter(problem => problem.code === 'rod-wall-collision').length, 2);
+});
+
+test('taller walls reach further into the rods\' path', () => {
+    assert.ok(analyze(50).rodWall.maxPenetrationDepth > analyze(3).rodWall.maxPenetrationDepth);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('the README design\'s lid goes over centre and stays open', () => {
+    const geometry = readmeDesign();
+    const statics = geometry.analyzeStatics(geometry.analyzeMotion());
+    assert.strictEqual(statics.behaviour, 'over-centre');
+    assert.strictEqual(statics.balancePoints.length, 1);
+    assert.ok(Math.abs(statics.balancePoints[0] - 0.71) < 0.01);
+    assert.strictEqual(statics.tipsOver, false);
+});
+
+test('the lid\'s weight turns it the way its centre of mass drops', () => {
+    const geometry = readmeDesign();
+    const statics = geometry.analyzeStatics(geometry.analyzeMotion());
+    const [first, second] = statics.poses;
+    // Early on the lid rises as it opens, so gravity pulls it shut
+    assert.ok(second.centerOfMass.y > first.centerOfMass.y);
+    assert.ok(first.momentArm < 0);
+    assert.deepStrictEqual(statics.openCenterOfMass, geometry.getOpenPosition(statics.centerOfMass));
+});
+
+test('an open lid resting beyond the edge of the box tips it over', () => {
+    const geometry = readmeDesign('&oa=180&ox=-60');
+    const motion = geometry.analyzeMotion();
+    const statics = geometry.analyzeStatics(motion);
+    assert.strictEqual(statics.tipsOver, true);
+    assert.ok(statics.openCenterOfMass.x < statics.baseRange.minX);
+    assert.ok(geometry.getProblems({ motion, statics }).some(problem => problem.code === 'tips-over'));
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign, getHardware } = require('./designs.js');
+
+function analyze(settings = {}) {
+    const geometry = readmeDesign();
+    const motion = geometry.analyzeMotion();
+    const forces = geometry.analyzeForces(motion, geometry.analyzeStatics(motion));
+    return { geometry, motion, forces, hardware: getHardware(geometry, settings) };
+}
+
+const safetyFactors = (checks) => Object.fromEntries(checks.map(check => [check.part, check.safetyFactor]));
+
+test('the blue rod only pushes or pulls, so its two pins carry the same load', () => {
+    const { forces } = analyze();
+    for (const pose of forces.poses) {
+        assert.ok(Math.abs(pose.pins.blueBox - Math.abs(pose.blueAxial)) < 1e-9);
+        assert.ok(Math.abs(pose.pins.blueLid - pose.pins.blueBox) < 1e-9);
+    }
+});
+
+test('twice the lid weight halves every safety factor', () => {
+    const { geometry, forces, hardware } = analyze();
+    const light = safetyFactors(geometry.getStrengthChecks(forces, hardware, 1, 40));
+    const heavy = safetyFactors(geometry.getStrengthChecks(forces, hardware, 2, 40));
+    for (const part of Object.keys(light)) {
+        assert.ok(Math.abs(light[part] / heavy[part] - 2) < 1e-9, part);
+    }
+});
+
+test('thicker pins are stronger', () => {
+    const thin = analyze({ pivotAxleDiameter: 3 });
+    const thick = analyze({ pivotAxleDiameter: 5 });
+    const thinPins = safetyFactors(thin.geometry.getStrengthChecks(thin.forces, thin.hardware, 1, 40));
+    const thickPins = safetyFactors(thick.geometry.getStrengthChecks(thick.forces, thick.hardware, 1, 40));
+    assert.ok(thickPins['red box pin'] > thinPins['red box pin']);
+    assert.ok(thickPins['blue lid pin'] > thinPins['blue lid pin']);
+});
+
+test('the red rod bending is the README design\'s weak point, flagged once the lid is heavy enough', () => {
+    const { geometry, motion, forces, hardware } = analyze();
+    const checks = geometry.getStrengthChecks(forces, hardware, 1, 40);
+    const weakest = checks.reduce((a, b) => (b.safetyFactor < a.safetyFactor ? b : a));
+    assert.strictEqual(weakest.part, 'red rod');
+    assert.strictEqual(weakest.mode, 'bending');
+    const heavy = geometry.getStrengthChecks(forces, hardware, 3, 40);
+    const codes = geometry.getProblems({ motion, strengthChecks: heavy }).map(problem => problem.code);
+    assert.deepStrictEqual(codes, ['weak-part']);
+});
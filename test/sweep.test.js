@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageError, loadDesign, readDesignParams } = require('../cli.js');
+const { parseRange, getCombinations, getDesignQuery, main } = require('../sweep.js');
+const { README_DESIGN, readmeDesign } = require('./designs.js');
+
+test('ranges are single values, lists or start:end:step with the end included', () => {
+    assert.deepStrictEqual(parseRange('height', '30'), [30]);
+    assert.deepStrictEqual(parseRange('height', '30,45'), [30, 45]);
+    assert.deepStrictEqual(parseRange('gap', '0.1:0.3:0.1'), [0.1, 0.2, 0.3]);
+    assert.throws(() => parseRange('height', '60:30:10'), UsageError);
+    assert.throws(() => parseRange('height', '30,tall'), UsageError);
+});
+
+test('every combination of the ranges is built once', () => {
+    const combinations = getCombinations({ height: [30, 40], width: [50], depth: [10, 20, 30], alpha: [75], gap: [1] });
+    assert.strictEqual(combinations.length, 6);
+    assert.strictEqual(new Set(combinations.map(combination => JSON.stringify(combination))).size, 6);
+});
+
+test('a member\'s saved query loads back to the same design', () => {
+    const geometry = readmeDesign('&wt=2&oa=110&ox=3');
+    const reloaded = loadDesign(readDesignParams(getDesignQuery(geometry)));
+    for (const [name, point] of Object.entries(geometry.getPivotPoints())) {
+        assert.ok(geometry.distance(point, reloaded.getPivotPoints()[name]) < 0.01, name);
+    }
+    assert.strictEqual(reloaded.wallThickness, 2);
+    assert.ok(Math.abs(reloaded.openRestAngle - geometry.openRestAngle) < 1e-6);
+});
+
+test('sweeping the README design\'s height writes a row per height', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hinge-sweep-'));
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await main([README_DESIGN, '--height', '30,35', '--format', 'json', '--out', dir]);
+    } finally {
+        console.log = log;
+    }
+    const rows = JSON.parse(fs.readFileSync(path.join(dir, 'sweep.json')));
+    assert.deepStrictEqual(rows.map(row => row.height), [30, 35]);
+    assert.ok(rows.every(row => row.reachable));
+    fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign, defaultBox } = require('./designs.js');
+
+test('a perfect build lands exactly on the open pose', () => {
+    const result = readmeDesign().analyzeTolerance({ pivotError: 0, lengthError: 0, samples: 5 });
+    assert.strictEqual(result.builds.length, 5);
+    assert.strictEqual(result.collisionRate, 0);
+    assert.strictEqual(result.unreachableRate, 0);
+    assert.ok(result.openShift.max < 1e-6);
+    assert.ok(result.openRotation.standardDeviation < 1e-9);
+});
+
+test('the same seed gives the same builds, another seed does not', () => {
+    const geometry = readmeDesign();
+    const first = geometry.analyzeTolerance({ pivotError: 0.5, samples: 30, seed: 7 });
+    const again = geometry.analyzeTolerance({ pivotError: 0.5, samples: 30, seed: 7 });
+    const other = geometry.analyzeTolerance({ pivotError: 0.5, samples: 30, seed: 8 });
+    assert.deepStrictEqual(again.openShift, first.openShift);
+    assert.notDeepStrictEqual(other.openShift, first.openShift);
+});
+
+test('sloppier holes spread the open pose further', () => {
+    const geometry = readmeDesign();
+    const tight = geometry.analyzeTolerance({ pivotError: 0.1, samples: 30 });
+    const loose = geometry.analyzeTolerance({ pivotError: 1, samples: 30 });
+    assert.ok(loose.openShift.mean > tight.openShift.mean);
+    assert.ok(loose.openShift.max > tight.openShift.max);
+    assert.strictEqual(loose.lengthError, 1);
+});
+
+test('a build whose lid has to sink into the box when open does not reach the open pose', () => {
+    const geometry = readmeDesign();
+    const result = geometry.analyzeTolerance({ pivotError: 0.5, samples: 30 });
+    assert.ok(result.unreachableRate > 0);
+    assert.ok(result.openGap.min < -geometry.restContactDepth);
+    for (const build of result.builds) {
+        assert.strictEqual(build.reachesOpenPose, build.reachable && build.open.gap >= -geometry.restContactDepth);
+    }
+    assert.strictEqual(result.unreachableRate, result.builds.filter(build => !build.reachesOpenPose).length / 30);
+});
+
+test('builds of a lid that hits the box part way open are counted as colliding', () => {
+    const result = defaultBox().analyzeTolerance({ pivotError: 0.1, samples: 20 });
+    assert.ok(result.collisionRate > 0.5);
+    assert.ok(result.builds.some(build => build.worstCollision && build.worstCollision.depth > 0.1));
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('a lid pivot traces an arc about its box pivot from the closed to the open position', () => {
+    const geometry = readmeDesign();
+    const trace = geometry.traceLidPoint(geometry.redClosedPoint);
+    const length = geometry.distance(geometry.redBoxPoint, geometry.redClosedPoint);
+    assert.ok(trace.path.every(position => Math.abs(geometry.distance(position, geometry.redBoxPoint) - length) < 1e-6));
+    assert.ok(geometry.distance(trace.path[0], geometry.redClosedPoint) < 1e-6);
+    assert.ok(geometry.distance(trace.path[trace.path.length - 1], geometry.redOpenPoint) < 1e-6);
+});
+
+test('a lid corner\'s highest and furthest back points come from its path', () => {
+    const geometry = readmeDesign();
+    const report = geometry.analyzeMotion();
+    const corner = geometry.getClosedLidVertices()[1];
+    const trace = geometry.traceLidPoint(corner, report);
+    assert.strictEqual(trace.path.length, report.poses.length);
+    assert.strictEqual(trace.maxHeight, Math.max(...trace.path.map(position => position.y)));
+    assert.strictEqual(trace.path.find(position => position.y === trace.maxHeight).angle, trace.maxHeightAt);
+    assert.strictEqual(trace.maxRearward, Math.max(...trace.path.map(position => position.x)) - geometry.width);
+});
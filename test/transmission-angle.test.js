@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultBox, readmeDesign } = require('./designs.js');
+
+const degrees = (angle) => angle * 180 / Math.PI;
+
+test('the transmission angle is the angle between the lid and the blue rod', () => {
+    const geometry = readmeDesign();
+    const square = geometry.getTransmissionAngle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 });
+    const straight = geometry.getTransmissionAngle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: -1, y: 0 });
+    assert.ok(Math.abs(square - Math.PI / 2) < 1e-12);
+    assert.ok(Math.abs(straight - Math.PI) < 1e-12);
+    assert.ok(Math.abs(geometry.getTransmissionQuality(5 * Math.PI / 6) - Math.PI / 6) < 1e-12);
+});
+
+test('the README design keeps its transmission angle above 30°', () => {
+    const report = readmeDesign().analyzeMotion();
+    assert.ok(Math.abs(degrees(report.worstTransmissionAngle) - 41.8) < 0.1);
+    assert.ok(report.poses.every(pose => pose.transmissionAngle >= report.minTransmissionAngle - 1e-12));
+});
+
+test('the default box drops below 30° and is flagged', () => {
+    const geometry = defaultBox();
+    const report = geometry.analyzeMotion();
+    assert.ok(degrees(report.worstTransmissionAngle) < 30);
+    const codes = geometry.getProblems({ motion: report }).map(problem => problem.code);
+    assert.ok(codes.includes('poor-transmission'));
+    const lenient = geometry.getProblems({ motion: report }, { minTransmissionAngle: 0.1 }).map(problem => problem.code);
+    assert.ok(!lenient.includes('poor-transmission'));
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readmeDesign } = require('./designs.js');
+
+test('a hollow box has material in its walls but not in its middle', () => {
+    const geometry = readmeDesign();
+    geometry.setWallThickness(2);
+    const shell = geometry.getBoxShellVertices();
+    assert.ok(geometry.getPolygonArea(shell) < geometry.getPolygonArea(geometry.getBoxVertices()));
+    assert.ok(geometry.isPointInPolygon({ x: geometry.width - 1, y: geometry.height / 2 }, shell));
+    assert.ok(!geometry.isPointInPolygon({ x: geometry.width - 10, y: geometry.height / 2 }, shell));
+});
+
+test('a box pivot may sit on a wall or outside the box, but not in the hollow', () => {
+    const geometry = readmeDesign();
+    geometry.setWallThickness(2);
+    assert.ok(geometry.isBoxPivotSupported({ x: geometry.width - 1, y: geometry.height / 2 }));
+    assert.ok(geometry.isBoxPivotSupported({ x: geometry.width + 5, y: geometry.height / 2 }));
+    assert.ok(!geometry.isBoxPivotSupported({ x: geometry.width - 10, y: geometry.height / 2 }));
+});
+
+test('setting a wall thickness pulls the pivots onto the walls', () => {
+    const geometry = readmeDesign();
+    geometry.setWallThickness(2);
+    assert.deepStrictEqual(geometry.getUnsupportedPivots(), []);
+});
+
+test('a saved design with pivots in the hollow is flagged', () => {
+    const geometry = readmeDesign('&wt=2');
+    assert.deepStrictEqual(geometry.getUnsupportedPivots(), ['redClosed', 'blueClosed']);
+    const problems = geometry.getProblems({ motion: geometry.analyzeMotion() });
+    assert.strictEqual(problems.filter(problem => problem.code === 'pivot-off-wall').length, 2);
+});
+
+test('walls must be thinner than half the box', () => {
+    const geometry = readmeDesign();
+    assert.throws(() => geometry.setWallThickness(0), /above zero/);
+    assert.throws(() => geometry.setWallThickness(11), /less than half/);
+});
@@ -109,3 +109,5 @@ class Vector2D {
         ];
     }
 }
+
+if (typeof module !== 'undefined') module.exports = { Vector2D };